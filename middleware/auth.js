@@ -1,5 +1,6 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import Game from '../models/Game.js';
+import { canScoreGame } from '../utils/gameAccess.js';
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -17,23 +18,17 @@ export const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token, its session and token version
+    const { user, sessionId } = await verifyAccessToken(token);
 
-    req.user = await User.findById(decoded.id);
-
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'No user found with this token'
-      });
-    }
+    req.user = user;
+    req.sessionId = sessionId;
 
     next();
   } catch (error) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: error.name === 'TokenError' ? error.message : 'Not authorized to access this route'
     });
   }
 };
@@ -50,3 +45,33 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Only let coaches change games their team plays in or that they keep score for.
+// Use after protect and authorize on routes with a game :id.
+export const authorizeGameScorer = async (req, res, next) => {
+  try {
+    const game = await Game.findById(req.params.id).select('homeTeam awayTeam scorekeepers');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    if (!(await canScoreGame(req.user, game))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this game'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorize game scorer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,20 +1,24 @@
 // middleware/socketAuth.js
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import Game from "../models/Game.js";
+import { canScoreGame } from "../utils/gameAccess.js";
+import { verifyAccessToken } from "../utils/tokens.js";
 
+// Anonymous viewers may connect and join game rooms read-only. Sockets that
+// send a token must present a valid, unrevoked one; its user and session are
+// attached to the socket.
 export const protectSocket = async (socket, next) => {
   try {
     const token = socket.handshake.auth?.token;
     if (!token) {
-        console.log("mango")
-        return next(new Error("No token provided"));
+        socket.user = null;
+        return next();
     }
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("role name");
-
-    if (!user) return next(new Error("User not found"));
+    const { user, sessionId, expiresAt } = await verifyAccessToken(token, "role name");
 
     socket.user = user; // attach user to socket
+    socket.accessToken = token;
+    socket.sessionId = sessionId;
+    socket.tokenExpiresAt = expiresAt;
     next();
   } catch (err) {
     console.error("Socket auth error:", err.message);
@@ -22,3 +26,39 @@ export const protectSocket = async (socket, next) => {
   }
 };
 
+// Socket counterpart of authorize('admin', 'coach') plus the per-game check:
+// resolves to the game when the socket's user may score it, otherwise emits
+// an error to the socket and resolves to null. The user is loaded again each
+// time, so a role change or revoked token applies to sockets already open.
+export const authorizeGameSocket = async (socket, gameId, ...roles) => {
+  if (!socket.user) {
+    socket.emit("errorMessage", "Log in to update games");
+    return null;
+  }
+  if (socket.tokenExpiresAt && Date.now() > socket.tokenExpiresAt) {
+    socket.emit("errorMessage", "Session expired, reconnect with a fresh token");
+    return null;
+  }
+  try {
+    ({ user: socket.user } = await verifyAccessToken(socket.accessToken, "role name"));
+  } catch (err) {
+    if (err.name !== "TokenError") throw err;
+    socket.emit("errorMessage", "Session expired, reconnect with a fresh token");
+    return null;
+  }
+  if (!roles.includes(socket.user.role)) {
+    socket.emit("errorMessage", `User role ${socket.user.role} is not authorized to update games`);
+    return null;
+  }
+
+  const game = await Game.findById(gameId).select("homeTeam awayTeam scorekeepers");
+  if (!game) {
+    socket.emit("errorMessage", "Game not found");
+    return null;
+  }
+  if (!(await canScoreGame(socket.user, game))) {
+    socket.emit("errorMessage", "Not authorized to update this game");
+    return null;
+  }
+  return game;
+};
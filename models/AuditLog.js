@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copy of the actor's name and role, kept even if the user is deleted later
+  actorName: {
+    type: String,
+    trim: true
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Please add an action'],
+    trim: true
+  },
+  entity: {
+    type: String,
+    required: [true, 'Please add an entity'],
+    enum: ['Game', 'GameEvent', 'Player', 'Team', 'Season', 'User', 'Invitation', 'JoinRequest']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Please add an entity ID']
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  source: {
+    type: String,
+    enum: ['rest', 'socket', 'system'],
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The audit log is append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+// Index for better query performance
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
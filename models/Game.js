@@ -25,20 +25,62 @@ const gameSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please add game date']
   },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
   status: {
     type: String,
     enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  // Number of regulation periods and their lengths in seconds
+  regulationPeriods: {
+    type: Number,
+    default: 4,
+    min: 1
+  },
+  periodLength: {
+    type: Number,
+    default: 720,
+    min: 1
+  },
+  overtimeLength: {
+    type: Number,
+    default: 300,
+    min: 1
+  },
+  // Current period, periods past regulationPeriods are overtime
   quarter: {
     type: Number,
     default: 1,
-    min: 1,
-    max: 4
+    min: 1
   },
+  // Display copy of the clock, kept in sync by utils/gameClock.js
   timeRemaining: {
     type: String,
-    default: '12:00'
+    default: function() {
+      const seconds = this.periodLength % 60;
+      return `${Math.floor(this.periodLength / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+    }
+  },
+  // Server-side game clock. While running, the time left is
+  // secondsRemaining minus the time elapsed since startedAt.
+  clock: {
+    secondsRemaining: {
+      type: Number,
+      min: 0,
+      default: function() {
+        return this.periodLength;
+      }
+    },
+    running: {
+      type: Boolean,
+      default: false
+    },
+    startedAt: {
+      type: Date
+    }
   },
   venue: {
     type: String,
@@ -48,15 +90,163 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Each team's five starters, set before tip-off. With them the server follows
+  // who is on the floor and derives minutes and plus-minus, see utils/lineups.js
+  startingLineups: {
+    home: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player'
+    }],
+    away: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player'
+    }]
+  },
+  // Coaches assigned to keep score for this game besides the two teams' coaches
+  scorekeepers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Last sequence number handed out to this game's play-by-play log.
+  // Once a game has events its score and gameStats are derived from them.
+  eventSequence: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Personal fouls that foul a player out of the game
+  foulLimit: {
+    type: Number,
+    default: 6,
+    min: 1
+  },
+  // Team fouls in a period after which the other team is in the bonus
+  bonusFouls: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Personal fouls per team per period, derived from the play-by-play log
+  teamFouls: [{
+    _id: false,
+    period: {
+      type: Number,
+      min: 1
+    },
+    home: {
+      type: Number,
+      default: 0
+    },
+    away: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Timeouts each team gets, per stretch of regulation starting at fromPeriod
+  // and running until the next entry's (e.g. 2 for the first half, 3 for the
+  // second). Timeouts left over do not carry into the next stretch.
+  timeoutAllowances: {
+    type: [{
+      _id: false,
+      fromPeriod: {
+        type: Number,
+        required: [true, 'Please add the period the allowance starts in'],
+        min: 1
+      },
+      timeouts: {
+        type: Number,
+        required: [true, 'Please add the number of timeouts'],
+        min: 0
+      }
+    }],
+    default: () => [{ fromPeriod: 1, timeouts: 2 }, { fromPeriod: 3, timeouts: 3 }]
+  },
+  // Timeouts each team gets in every overtime period
+  overtimeTimeouts: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Timeouts called, see utils/timeouts.js
+  timeouts: [{
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true
+    },
+    period: {
+      type: Number,
+      min: 1
+    },
+    // Time left on the clock when it was stopped for the timeout
+    secondsRemaining: {
+      type: Number,
+      min: 0
+    },
+    calledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    calledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Bumped on every change to the game's state. Clients send back the
+  // version they edited so stale writes can be rejected, and use it to
+  // order the gameUpdated broadcasts they receive.
+  version: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   gameStats: [{
     player: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Player'
     },
+    // Team the player played for in this game
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team'
+    },
     points: {
       type: Number,
       default: 0
     },
+    fieldGoalsMade: {
+      type: Number,
+      default: 0
+    },
+    fieldGoalsAttempted: {
+      type: Number,
+      default: 0
+    },
+    threePointersMade: {
+      type: Number,
+      default: 0
+    },
+    threePointersAttempted: {
+      type: Number,
+      default: 0
+    },
+    freeThrowsMade: {
+      type: Number,
+      default: 0
+    },
+    freeThrowsAttempted: {
+      type: Number,
+      default: 0
+    },
+    offensiveRebounds: {
+      type: Number,
+      default: 0
+    },
+    defensiveRebounds: {
+      type: Number,
+      default: 0
+    },
+    // Total rebounds, offensive plus defensive
     rebounds: {
       type: Number,
       default: 0
@@ -73,6 +263,22 @@ const gameSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    turnovers: {
+      type: Number,
+      default: 0
+    },
+    personalFouls: {
+      type: Number,
+      default: 0
+    },
+    technicalFouls: {
+      type: Number,
+      default: 0
+    },
+    plusMinus: {
+      type: Number,
+      default: 0
+    },
     minutesPlayed: {
       type: Number,
       default: 0
@@ -84,4 +290,11 @@ const gameSchema = new mongoose.Schema({
   }
 });
 
+// Index for better query performance
+gameSchema.index({ season: 1, status: 1 });
+gameSchema.index({ gameDate: 1 });
+gameSchema.index({ homeTeam: 1, gameDate: 1 });
+gameSchema.index({ awayTeam: 1, gameDate: 1 });
+gameSchema.index({ venue: 'text' });
+
 export default mongoose.model('Game', gameSchema);
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+export const FOUL_TYPES = ['personal', 'technical'];
+
+export const EVENT_TYPES = [
+  'shot',
+  'rebound',
+  'assist',
+  'steal',
+  'block',
+  'foul',
+  'turnover',
+  'substitution',
+  'period_start',
+  'period_end'
+];
+
+// Event types that are credited to a team (and usually a player)
+export const TEAM_EVENT_TYPES = EVENT_TYPES.filter(
+  (type) => type !== 'period_start' && type !== 'period_end'
+);
+
+const gameEventSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: [true, 'Event must belong to a game']
+  },
+  // Position of the event in the game's log, assigned by the server
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  type: {
+    type: String,
+    required: [true, 'Please add an event type'],
+    enum: EVENT_TYPES
+  },
+  period: {
+    type: Number,
+    required: [true, 'Please add a period'],
+    min: 1
+  },
+  // Time left in the period as M:SS, stamped from the game clock when not given
+  clock: {
+    type: String,
+    trim: true
+  },
+  // The clock in seconds, parsed from clock; times substitutions for minutes played
+  secondsRemaining: {
+    type: Number,
+    min: 0
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  // For substitutions - the player leaving the floor (player is the one coming in)
+  playerOut: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  // For shots
+  made: {
+    type: Boolean
+  },
+  points: {
+    type: Number,
+    enum: [1, 2, 3]
+  },
+  // For fouls - personal fouls count towards fouling out and team fouls
+  foulType: {
+    type: String,
+    enum: FOUL_TYPES
+  },
+  // For rebounds - left unset to infer it from the team of the missed shot
+  offensive: {
+    type: Boolean
+  },
+  // Voided events stay in the log for history but no longer count
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  correctedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+gameEventSchema.pre('validate', function(next) {
+  if (TEAM_EVENT_TYPES.includes(this.type) && !this.team) {
+    this.invalidate('team', `A ${this.type} event requires a team`);
+  }
+  if (this.type === 'shot') {
+    if (this.made === undefined || this.made === null) {
+      this.invalidate('made', 'A shot event must say whether it was made');
+    }
+    if (!this.points) {
+      this.invalidate('points', 'A shot event requires a point value');
+    }
+  }
+  if (this.type === 'foul') {
+    if (!this.foulType) this.foulType = 'personal';
+    // Technicals can go to a coach or the bench, personal fouls need a player
+    if (this.foulType === 'personal' && !this.player) {
+      this.invalidate('player', 'A personal foul requires a player');
+    }
+  } else {
+    this.foulType = undefined;
+  }
+  if (this.type === 'substitution' && (!this.player || !this.playerOut)) {
+    this.invalidate('playerOut', 'A substitution requires the players coming in and going out');
+  }
+  if (this.clock) {
+    const match = /^(\d{1,2}):([0-5]\d)(\.\d+)?$/.exec(this.clock);
+    if (match) this.secondsRemaining = Number(match[1]) * 60 + Number(match[2]) + Number(match[3] || 0);
+    else this.invalidate('clock', 'Clock must be the time left in the period, e.g. 5:23');
+  } else {
+    this.secondsRemaining = undefined;
+  }
+  if (this.type === 'substitution' && this.secondsRemaining === undefined) {
+    this.invalidate('clock', 'A substitution requires the game clock time');
+  }
+  next();
+});
+
+// Index for better query performance
+gameEventSchema.index({ game: 1, sequence: 1 }, { unique: true });
+gameEventSchema.index({ player: 1 });
+
+export default mongoose.model('GameEvent', gameEventSchema);
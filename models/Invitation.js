@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A coach's emailed invitation for someone to join their team as a player
+const invitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Please add a team']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  position: {
+    type: String,
+    required: [true, 'Please add a position'],
+    enum: ['PG', 'SG', 'SF', 'PF', 'C']
+  },
+  // Held for the invitee while the invitation is pending
+  jerseyNumber: {
+    type: Number,
+    required: [true, 'Please add a jersey number'],
+    min: [0, 'Jersey number must be positive'],
+    max: [99, 'Jersey number cannot exceed 99']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token emailed to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    // Newly created invitations still hold the hash in memory
+    transform: (_doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Pending invitations stop counting once they expire
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Set a new token and expiry, returning the raw token for the email
+invitationSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = Number(process.env.INVITE_TOKEN_DAYS) || 7;
+
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+invitationSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Index for better query performance
+invitationSchema.index({ team: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ tokenHash: 1 });
+
+export default mongoose.model('Invitation', invitationSchema);
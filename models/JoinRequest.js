@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// A player's request to join a team, approved or rejected by the team's coach
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add a user']
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Please add a team']
+  },
+  // Player profile details, used when approval creates the profile
+  position: {
+    type: String,
+    enum: ['PG', 'SG', 'SF', 'PF', 'C']
+  },
+  jerseyNumber: {
+    type: Number,
+    min: [0, 'Jersey number must be positive'],
+    max: [99, 'Jersey number cannot exceed 99']
+  },
+  height: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    min: [100, 'Weight must be at least 100 lbs'],
+    max: [400, 'Weight cannot exceed 400 lbs']
+  },
+  age: {
+    type: Number,
+    min: [16, 'Age must be at least 16'],
+    max: [50, 'Age cannot exceed 50']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // Coach's reason when rejecting
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+joinRequestSchema.index({ team: 1, status: 1, createdAt: -1 });
+joinRequestSchema.index({ user: 1, status: 1 });
+
+export default mongoose.model('JoinRequest', joinRequestSchema);
@@ -1,5 +1,53 @@
 import mongoose from 'mongoose';
 
+// Averages and totals derived from completed games' gameStats, see utils/playerStats.js
+const statLine = {
+  pointsPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reboundsPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  assistsPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  stealsPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  blocksPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minutesPerGame: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gamesPlayed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Totals, summed from completed games
+  totals: {
+    points: { type: Number, default: 0, min: 0 },
+    rebounds: { type: Number, default: 0, min: 0 },
+    assists: { type: Number, default: 0, min: 0 },
+    steals: { type: Number, default: 0, min: 0 },
+    blocks: { type: Number, default: 0, min: 0 },
+    minutes: { type: Number, default: 0, min: 0 }
+  }
+};
+
 const playerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -12,10 +60,10 @@ const playerSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Player must be linked to a user account']
   },
+  // Empty for free agents; changed through roster transactions, see utils/roster.js
   team: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Team',
-    required: [true, 'Please assign a team']
+    ref: 'Team'
   },
   position: {
     type: String,
@@ -45,33 +93,15 @@ const playerSchema = new mongoose.Schema({
     min: [16, 'Age must be at least 16'],
     max: [50, 'Age cannot exceed 50']
   },
-  stats: {
-    pointsPerGame: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    reboundsPerGame: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    assistsPerGame: {
-      type: Number,
-      default: 0,
-      min: 0
+  // Line for the current season, or all games when the league has no seasons
+  stats: statLine,
+  seasonStats: [{
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season'
     },
-    stealsPerGame: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    blocksPerGame: {
-      type: Number,
-      default: 0,
-      min: 0
-    }
-  },
+    ...statLine
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -86,6 +116,12 @@ const playerSchema = new mongoose.Schema({
 playerSchema.index({ team: 1 });
 playerSchema.index({ user: 1 });
 playerSchema.index({ isActive: 1 });
-playerSchema.index({ jerseyNumber: 1, team: 1 }, { unique: true });
+playerSchema.index({ name: 1 });
+playerSchema.index({ name: 'text' });
+// Jersey numbers are unique within a team; free agents keep theirs without clashing
+playerSchema.index(
+  { jerseyNumber: 1, team: 1 },
+  { unique: true, partialFilterExpression: { team: { $type: 'objectId' } } }
+);
 
 export default mongoose.model('Player', playerSchema);
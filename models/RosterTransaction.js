@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const TRANSACTION_TYPES = ['sign', 'release', 'trade'];
+
+// One player moving onto, off or between teams, see utils/roster.js
+const rosterTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Please add a transaction type'],
+    enum: TRANSACTION_TYPES
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: [true, 'Please add a player']
+  },
+  // Empty when signing a free agent
+  fromTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Empty when releasing a player
+  toTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  jerseyNumber: {
+    type: Number,
+    min: [0, 'Jersey number must be positive'],
+    max: [99, 'Jersey number cannot exceed 99']
+  },
+  // Players moved in the same trade share this ID
+  trade: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Please add an effective date'],
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rosterTransactionSchema.pre('validate', function(next) {
+  if (!this.fromTeam && !this.toTeam) {
+    this.invalidate('toTeam', 'A transaction needs a team it moves the player from or to');
+  }
+  next();
+});
+
+// Index for better query performance
+rosterTransactionSchema.index({ player: 1, effectiveDate: -1 });
+rosterTransactionSchema.index({ fromTeam: 1, effectiveDate: -1 });
+rosterTransactionSchema.index({ toTeam: 1, effectiveDate: -1 });
+rosterTransactionSchema.index({ trade: 1 });
+
+export default mongoose.model('RosterTransaction', rosterTransactionSchema);
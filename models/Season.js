@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a season name'],
+    trim: true,
+    unique: true,
+    maxlength: [50, 'Season name cannot be more than 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  teams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  }],
+  // Archived seasons are read-only but stay queryable
+  status: {
+    type: String,
+    enum: ['upcoming', 'active', 'completed', 'archived'],
+    default: 'upcoming'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seasonSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+// Index for better query performance
+seasonSchema.index({ status: 1 });
+// Only one season can be active, it is the one stats show by default
+seasonSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_season' });
+seasonSchema.index({ startDate: 1, endDate: 1 });
+
+export default mongoose.model('Season', seasonSchema);
@@ -48,10 +48,17 @@ const teamSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Private teams' calendar feeds need a member's feed token. Only the feeds:
+  // the team's games stay public through the games, search and export endpoints
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
   players: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player'
   }],
+  // Record for the current season, or all games when the league has no seasons
   stats: {
     wins: {
       type: Number,
@@ -70,6 +77,28 @@ const teamSchema = new mongoose.Schema({
       max: 1
     }
   },
+  seasonStats: [{
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season'
+    },
+    wins: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    losses: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    winPercentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -78,17 +107,20 @@ const teamSchema = new mongoose.Schema({
 
 // Calculate win percentage before saving
 teamSchema.pre('save', function(next) {
-  const totalGames = this.stats.wins + this.stats.losses;
-  if (totalGames > 0) {
-    this.stats.winPercentage = this.stats.wins / totalGames;
-  } else {
-    this.stats.winPercentage = 0;
-  }
+  [this.stats, ...this.seasonStats].forEach((record) => {
+    const totalGames = record.wins + record.losses;
+    if (totalGames > 0) {
+      record.winPercentage = record.wins / totalGames;
+    } else {
+      record.winPercentage = 0;
+    }
+  });
   next();
 });
 
 // Index for better query performance
 teamSchema.index({ coach: 1 });
 teamSchema.index({ isActive: 1 });
+teamSchema.index({ name: 'text', homeVenue: 'text' }, { weights: { name: 2 } });
 
 export default mongoose.model('Team', teamSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -49,6 +50,26 @@ const userSchema = new mongoose.Schema({
     enum: ['PG', 'SG', 'SF', 'PF', 'C'],
     trim: true
   },
+  // Bumped to invalidate every access token issued before, e.g. on a
+  // password or role change or when logging out of all devices
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the single-use password reset token and when it expires
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Secret in the user's calendar feed URLs, giving access to private teams' schedules
+  calendarToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,19 +79,46 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ role: 1 });
 userSchema.index({ team: 1 });
+userSchema.index({ name: 'text' });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
+// Revoke existing tokens when the password or role of an existing user changes
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
 
 // Encrypt password using bcrypt
-userSchema.pre('save', async function(next) {
+userSchema.pre('save', async function() {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Set a new calendar feed token, replacing any old one. Returns the token.
+userSchema.methods.createCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token, storing only its hash. Returns the raw token.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,67 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import AuditLog from '../models/AuditLog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { listValidators, applyRanges, paginate } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+const AUDIT_LIST = {
+  sort: ['createdAt'],
+  defaultSort: '-createdAt',
+  populate: {
+    actor: 'name email role'
+  },
+  defaultPopulate: [],
+  ranges: {
+    from: { path: 'createdAt', op: '$gte', type: 'date' },
+    to: { path: 'createdAt', op: '$lte', type: 'date' }
+  }
+};
+
+// @desc    Query the audit log
+// @route   GET /api/audit
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), [
+  query('user').optional().isMongoId().withMessage('User must be a valid ID'),
+  query('entityId').optional().isMongoId().withMessage('Entity ID must be a valid ID'),
+  query('source').optional().isIn(['rest', 'socket', 'system']).withMessage('Invalid source'),
+  ...listValidators(AuditLog, AUDIT_LIST)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { user, entity, entityId, action, source } = req.query;
+    let filter = {};
+
+    if (user) filter.actor = user;
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (source) filter.source = source;
+    applyRanges(filter, req.query, AUDIT_LIST);
+
+    const { data, meta } = await paginate(AuditLog, filter, req.query, AUDIT_LIST);
+
+    res.json({
+      success: true,
+      ...meta,
+      data
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,39 @@
 import express from 'express';
+import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import JoinRequest from '../models/JoinRequest.js';
 import { protect } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSockets
+} from '../utils/tokens.js';
+import { sendMail, appUrl } from '../utils/mailer.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+import { findInvitation, acceptInvitation } from '../utils/invitations.js';
+import { requestToJoin } from '../utils/joinRequests.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
+// Profile details are required with an invitation and when a player asks to join a team
+const profileDetail = (value, { req }) => req.body.inviteToken !== undefined
+  || (Boolean(req.body.team) && [undefined, 'player'].includes(req.body.role));
+
+// Undo an account whose invitation or join request failed, so the email can register again
+const discardRegistration = async (user) => {
+  await JoinRequest.deleteMany({ user: user._id });
+  const players = await Player.find({ user: user._id }).select('_id');
+  const playerIds = players.map((player) => player._id);
+  if (playerIds.length > 0) {
+    await Team.updateMany({ players: { $in: playerIds } }, { $pull: { players: { $in: playerIds } } });
+    await Player.deleteMany({ _id: { $in: playerIds } });
+  }
+  await User.deleteOne({ _id: user._id });
 };
 
 // @desc    Register user
@@ -20,7 +43,15 @@ router.post('/register', [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please include a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['player', 'coach', 'admin']).withMessage('Invalid role')
+  body('role').optional().isIn(['player', 'coach', 'admin']).withMessage('Invalid role'),
+  body('team').optional({ values: 'falsy' }).isMongoId().withMessage('Team must be a valid ID'),
+  // Registering from an invitation also creates the player profile; a request
+  // to join a team keeps the profile details for its approval
+  body('height').if(profileDetail).notEmpty().withMessage('Height is required'),
+  body('weight').if(profileDetail).isInt({ min: 100, max: 400 }).withMessage('Weight must be between 100-400 lbs'),
+  body('age').if(profileDetail).isInt({ min: 16, max: 50 }).withMessage('Age must be between 16-50'),
+  body('jerseyNumber').if(body('team').notEmpty()).optional().isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99'),
+  body('message').if(body('team').notEmpty()).optional().isLength({ max: 500 }).withMessage('Message cannot be more than 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -32,7 +63,26 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role, team, position } = req.body;
+    const { name, email, password, team, position, inviteToken } = req.body;
+    let { role } = req.body;
+
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await findInvitation(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid or has expired'
+        });
+      }
+      if (invitation.email !== email.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Register with the email address the invitation was sent to'
+        });
+      }
+      role = 'player';
+    }
 
     // Build user fields, omit optional fields when empty to avoid enum validation issues
     const userFields = {
@@ -42,9 +92,20 @@ router.post('/register', [
       role: role || 'player'
     };
 
-    if (team) userFields.team = team;
     if (position) userFields.position = position; // only set when non-empty
 
+    // Players choosing a team ask to join it; the coach approves them onto it
+    let joinTeam = null;
+    if (team && !invitation && userFields.role === 'player') {
+      joinTeam = await Team.findById(team);
+      if (!joinTeam) {
+        return res.status(400).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+    }
+
     // Check if user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -57,20 +118,48 @@ router.post('/register', [
     // Create user
     const user = await User.create(userFields);
 
-    const token = generateToken(user._id);
+    let player;
+    let joinRequest;
+    try {
+      if (invitation) ({ player } = await acceptInvitation({ invitation, user, profile: req.body }));
+      if (joinTeam) joinRequest = await requestToJoin(req.app.get('io'), { user, team: joinTeam, fields: req.body });
+    } catch (error) {
+      await discardRegistration(user);
+      throw error;
+    }
+
+    await recordAudit({ actor: user, source: 'rest', ip: req.ip, action: 'register', entity: 'User', after: user });
+    if (invitation) {
+      await recordAudit({ actor: user, source: 'rest', ip: req.ip, action: 'accept', entity: 'Invitation', entityId: invitation._id });
+    }
+    if (joinRequest) {
+      await recordAudit({ actor: user, source: 'rest', ip: req.ip, action: 'create', entity: 'JoinRequest', after: joinRequest });
+    }
+
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await createSession(user, req.get('user-agent'));
 
     res.status(201).json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        team: user.team,
-      }
+        team: player ? player.team : user.team,
+      },
+      player,
+      joinRequest
     });
   } catch (error) {
+    if (['InvitationError', 'JoinRequestError', 'RosterError', 'ValidationError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -116,11 +205,13 @@ router.post('/login', [
       });
     }
 
-    const token = generateToken(user._id);
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await createSession(user, req.get('user-agent'));
 
     res.json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user._id,
         name: user.name,
@@ -138,6 +229,242 @@ router.post('/login', [
   }
 });
 
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await rotateSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+  } catch (error) {
+    if (error.name === 'TokenError') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out of this device, or of every device with { allDevices: true }
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, [
+  body('allDevices').optional().isBoolean().withMessage('All devices must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const io = req.app.get('io');
+    const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+
+    if (allDevices) {
+      await revokeAllSessions(req.user._id);
+      disconnectSockets(io, { userId: req.user._id });
+    } else {
+      await revokeSession(req.sessionId);
+      disconnectSockets(io, { sessionId: req.sessionId });
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out of all devices' : 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please include a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Answer the same way whether or not the account exists, even when the mail fails
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${appUrl('/reset-password', { token })}\n\n` +
+            'The link can be used once and expires soon. If you did not ask for it, you can ignore this email.'
+        });
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const hash = crypto.createHash('sha256').update(req.body.token).digest('hex');
+    const user = await User.findOne({
+      passwordResetToken: hash,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // Single use: clear the token along with setting the password
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    disconnectSockets(req.app.get('io'), { userId: user._id });
+
+    await recordAudit({ actor: user, source: 'rest', ip: req.ip, action: 'reset_password', entity: 'User', entityId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+router.put('/password', protect, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.matchPassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await recordAudit({ ...fromRequest(req), action: 'change_password', entity: 'User', entityId: user._id });
+
+    // End every session, then keep this device logged in with fresh tokens
+    await revokeAllSessions(user._id);
+    disconnectSockets(req.app.get('io'), { userId: user._id });
+
+    const current = await User.findById(user._id);
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await createSession(current, req.get('user-agent'));
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -163,4 +490,156 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @desc    Get the logged in player's join requests
+// @route   GET /api/auth/join-requests
+// @access  Private
+router.get('/join-requests', protect, async (req, res) => {
+  try {
+    const requests = await JoinRequest.find({ user: req.user._id })
+      .populate('team', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Get own join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Cancel one of the logged in player's pending join requests
+// @route   DELETE /api/auth/join-requests/:id
+// @access  Private
+router.delete('/join-requests/:id', protect, async (req, res) => {
+  try {
+    const request = await JoinRequest.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Join request has already been ${request.status}`
+      });
+    }
+
+    const before = request.toObject();
+    request.status = 'cancelled';
+    await request.save();
+
+    await recordAudit({ ...fromRequest(req), action: 'cancel', entity: 'JoinRequest', before, after: request });
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Cancel join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get an invitation's details from its token
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        team: { id: invitation.team._id, name: invitation.team.name },
+        email: invitation.email,
+        name: invitation.name,
+        position: invitation.position,
+        jerseyNumber: invitation.jerseyNumber,
+        expiresAt: invitation.expiresAt,
+        // Whether to show the login or the register form
+        hasAccount: Boolean(await User.exists({ email: invitation.email }))
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Accept an invitation with the logged in account
+// @route   POST /api/auth/invitations/accept
+// @access  Private
+router.post('/invitations/accept', protect, [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+  body('height').optional().notEmpty().withMessage('Height cannot be empty'),
+  body('weight').optional().isInt({ min: 100, max: 400 }).withMessage('Weight must be between 100-400 lbs'),
+  body('age').optional().isInt({ min: 16, max: 50 }).withMessage('Age must be between 16-50'),
+  body('position').optional().isIn(['PG', 'SG', 'SF', 'PF', 'C']).withMessage('Invalid position')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await findInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    // Height, weight and age are only needed when the user has no player profile yet
+    const { player, transaction } = await acceptInvitation({ invitation, user: req.user, profile: req.body });
+
+    await recordAudit({ ...fromRequest(req), action: 'accept', entity: 'Invitation', entityId: invitation._id });
+
+    res.json({
+      success: true,
+      data: player,
+      transaction
+    });
+  } catch (error) {
+    if (['InvitationError', 'RosterError', 'ValidationError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import Game from '../models/Game.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { buildCalendar, sendCalendar } from '../utils/ical.js';
+import { canViewTeam } from '../utils/gameAccess.js';
+import { resolveSeason } from '../utils/seasons.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Feeds cover games from this many days ago onwards
+const FEED_PAST_DAYS = 365;
+
+const feedGames = (query) => Game.find({
+  ...query,
+  gameDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+})
+  .populate('homeTeam', 'name isPrivate coach')
+  .populate('awayTeam', 'name isPrivate coach')
+  .populate('season', 'name')
+  .sort({ gameDate: 1 });
+
+// The user whose ?token= the feed was requested with. Calendar apps cannot
+// send an Authorization header, so private feeds rely on the URL token.
+const feedUser = async (req, res, next) => {
+  req.feedUser = null;
+  if (!req.query.token) return next();
+
+  try {
+    req.feedUser = await User.findOne({ calendarToken: String(req.query.token) });
+    if (!req.feedUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid calendar feed token'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const privateFeed = (res) => res.status(403).json({
+  success: false,
+  message: 'This team is private, use your personal feed link'
+});
+
+const feedUrls = (req, user, token) => {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar`;
+  const urls = { league: `${base}/league.ics?token=${token}` };
+  if (user.team) urls.team = `${base}/teams/${user.team}.ics?token=${token}`;
+  if (user.playerProfile) urls.player = `${base}/players/${user.playerProfile}.ics?token=${token}`;
+  if (user.managedTeams && user.managedTeams.length > 0) {
+    urls.managedTeams = user.managedTeams.map((team) => `${base}/teams/${team}.ics?token=${token}`);
+  }
+  return urls;
+};
+
+// @desc    Get the logged in user's calendar feed links
+// @route   GET /api/calendar/feeds
+// @access  Private
+router.get('/feeds', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    if (!user.calendarToken) {
+      user.createCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      token: user.calendarToken,
+      data: feedUrls(req, user, user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Replace the calendar feed token, breaking old feed links
+// @route   POST /api/calendar/feeds/reset
+// @access  Private
+router.post('/feeds/reset', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    user.createCalendarToken();
+    await user.save();
+
+    await recordAudit({ ...fromRequest(req), action: 'reset_calendar_token', entity: 'User', entityId: user._id });
+
+    res.json({
+      success: true,
+      token: user.calendarToken,
+      data: feedUrls(req, user, user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Reset calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    League schedule feed
+// @route   GET /api/calendar/league.ics
+// @access  Public (private teams' games need ?token=)
+router.get('/league.ics', feedUser, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.season) {
+      const season = await resolveSeason(req.query.season);
+      if (!season) {
+        return res.status(404).json({
+          success: false,
+          message: 'Season not found'
+        });
+      }
+      query.season = season._id;
+    }
+
+    const games = (await feedGames(query)).filter((game) => (
+      canViewTeam(req.feedUser, game.homeTeam) && canViewTeam(req.feedUser, game.awayTeam)
+    ));
+
+    sendCalendar(res, 'league.ics', buildCalendar({ name: 'League schedule', games }));
+  } catch (error) {
+    console.error('League calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Team schedule feed
+// @route   GET /api/calendar/teams/:id.ics
+// @access  Public (private teams need ?token=)
+router.get('/teams/:id.ics', feedUser, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+    if (!canViewTeam(req.feedUser, team)) return privateFeed(res);
+
+    const games = await feedGames({ $or: [{ homeTeam: team._id }, { awayTeam: team._id }] });
+
+    sendCalendar(res, `team-${team._id}.ics`, buildCalendar({ name: `${team.name} schedule`, games, team }));
+  } catch (error) {
+    console.error('Team calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Player schedule feed, following the player's current team
+// @route   GET /api/calendar/players/:id.ics
+// @access  Public (players on private teams need ?token=)
+router.get('/players/:id.ics', feedUser, async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id).populate('team', 'name isPrivate coach');
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+    if (player.team && !canViewTeam(req.feedUser, player.team)) return privateFeed(res);
+
+    // Free agents get an empty calendar that fills in once they sign
+    const games = player.team
+      ? await feedGames({ $or: [{ homeTeam: player.team._id }, { awayTeam: player.team._id }] })
+      : [];
+
+    sendCalendar(res, `player-${player._id}.ics`, buildCalendar({
+      name: `${player.name} schedule`,
+      games,
+      team: player.team
+    }));
+  } catch (error) {
+    console.error('Player calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
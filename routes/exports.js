@@ -0,0 +1,211 @@
+import express from 'express';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import Game from '../models/Game.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+import { buildBoxScore } from '../utils/boxScore.js';
+import { resolveSeason } from '../utils/seasons.js';
+import { findTeamIds } from '../utils/search.js';
+
+const router = express.Router();
+
+const nameOf = (doc) => (doc && doc.name) || '';
+const dateOnly = (date) => (date ? date.toISOString().slice(0, 10) : '');
+
+// The first columns match the import format so exports can be re-imported
+const PLAYER_COLUMNS = [
+  { header: 'name', value: 'name' },
+  { header: 'email', value: (player) => (player.user ? player.user.email : '') },
+  { header: 'team', value: (player) => nameOf(player.team) },
+  { header: 'position', value: 'position' },
+  { header: 'jerseyNumber', value: 'jerseyNumber' },
+  { header: 'height', value: 'height' },
+  { header: 'weight', value: 'weight' },
+  { header: 'age', value: 'age' },
+  { header: 'isActive', value: 'isActive' },
+  { header: 'gamesPlayed', value: (player) => player.stats.gamesPlayed },
+  { header: 'pointsPerGame', value: (player) => player.stats.pointsPerGame },
+  { header: 'reboundsPerGame', value: (player) => player.stats.reboundsPerGame },
+  { header: 'assistsPerGame', value: (player) => player.stats.assistsPerGame },
+  { header: 'stealsPerGame', value: (player) => player.stats.stealsPerGame },
+  { header: 'blocksPerGame', value: (player) => player.stats.blocksPerGame },
+  { header: 'minutesPerGame', value: (player) => player.stats.minutesPerGame }
+];
+
+const TEAM_COLUMNS = [
+  { header: 'name', value: 'name' },
+  { header: 'coach', value: (team) => nameOf(team.coach) },
+  { header: 'coachEmail', value: (team) => (team.coach ? team.coach.email : '') },
+  { header: 'homeVenue', value: 'homeVenue' },
+  { header: 'foundedYear', value: 'foundedYear' },
+  { header: 'players', value: (team) => team.players.length },
+  { header: 'wins', value: (team) => team.stats.wins },
+  { header: 'losses', value: (team) => team.stats.losses },
+  { header: 'winPercentage', value: (team) => team.stats.winPercentage },
+  { header: 'isActive', value: 'isActive' }
+];
+
+const GAME_COLUMNS = [
+  { header: 'homeTeam', value: (game) => nameOf(game.homeTeam) },
+  { header: 'awayTeam', value: (game) => nameOf(game.awayTeam) },
+  { header: 'gameDate', value: 'gameDate' },
+  { header: 'venue', value: 'venue' },
+  { header: 'season', value: (game) => nameOf(game.season) },
+  { header: 'status', value: 'status' },
+  { header: 'homeScore', value: 'homeScore' },
+  { header: 'awayScore', value: 'awayScore' },
+  { header: 'id', value: (game) => game._id.toString() }
+];
+
+const percent = (key) => (line) => (line[key] === null ? '' : line[key]);
+
+const BOX_SCORE_COLUMNS = [
+  { header: 'team', value: 'team' },
+  { header: 'player', value: 'player' },
+  { header: 'jerseyNumber', value: 'jerseyNumber' },
+  { header: 'minutes', value: 'minutesPlayed' },
+  { header: 'points', value: 'points' },
+  { header: 'fgm', value: 'fieldGoalsMade' },
+  { header: 'fga', value: 'fieldGoalsAttempted' },
+  { header: 'fgPct', value: percent('fieldGoalPercentage') },
+  { header: 'tpm', value: 'threePointersMade' },
+  { header: 'tpa', value: 'threePointersAttempted' },
+  { header: 'tpPct', value: percent('threePointPercentage') },
+  { header: 'ftm', value: 'freeThrowsMade' },
+  { header: 'fta', value: 'freeThrowsAttempted' },
+  { header: 'ftPct', value: percent('freeThrowPercentage') },
+  { header: 'oreb', value: 'offensiveRebounds' },
+  { header: 'dreb', value: 'defensiveRebounds' },
+  { header: 'reb', value: 'rebounds' },
+  { header: 'ast', value: 'assists' },
+  { header: 'stl', value: 'steals' },
+  { header: 'blk', value: 'blocks' },
+  { header: 'tov', value: 'turnovers' },
+  { header: 'pf', value: 'personalFouls' },
+  { header: 'plusMinus', value: 'plusMinus' }
+];
+
+// @desc    Export players as CSV
+// @route   GET /api/export/players
+// @access  Public
+router.get('/players', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.team) query.team = req.query.team;
+
+    const players = await Player.find(query)
+      .populate('team', 'name')
+      .populate('user', 'email')
+      .sort({ name: 1 });
+
+    sendCsv(res, 'players.csv', toCsv(PLAYER_COLUMNS, players));
+  } catch (error) {
+    console.error('Export players error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Export teams as CSV
+// @route   GET /api/export/teams
+// @access  Public
+router.get('/teams', async (_req, res) => {
+  try {
+    const teams = await Team.find()
+      .populate('coach', 'name email')
+      .sort({ name: 1 });
+
+    sendCsv(res, 'teams.csv', toCsv(TEAM_COLUMNS, teams));
+  } catch (error) {
+    console.error('Export teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Export games as CSV
+// @route   GET /api/export/games
+// @access  Public
+router.get('/games', async (req, res) => {
+  try {
+    const { status, team, season } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (team) {
+      const teamIds = await findTeamIds(team);
+      query.$or = [{ homeTeam: { $in: teamIds } }, { awayTeam: { $in: teamIds } }];
+    }
+    if (season) {
+      const found = await resolveSeason(season);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Season not found'
+        });
+      }
+      query.season = found._id;
+    }
+
+    const games = await Game.find(query)
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .populate('season', 'name')
+      .sort({ gameDate: 1 });
+
+    sendCsv(res, 'games.csv', toCsv(GAME_COLUMNS, games));
+  } catch (error) {
+    console.error('Export games error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Export a game's box score as CSV, one row per player plus team totals
+// @route   GET /api/export/games/:id/boxscore
+// @access  Public
+router.get('/games/:id/boxscore', async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id)
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .populate('gameStats.player', 'name team position jerseyNumber');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    const boxScore = buildBoxScore(game);
+    const rows = [];
+    [boxScore.home, boxScore.away].forEach(({ team, players, totals }) => {
+      players.forEach((line) => rows.push({
+        ...line,
+        team: nameOf(team),
+        player: nameOf(line.player),
+        jerseyNumber: line.player ? line.player.jerseyNumber : ''
+      }));
+      rows.push({ ...totals, team: nameOf(team), player: 'TOTAL' });
+    });
+
+    const filename = `boxscore-${nameOf(game.awayTeam)}-at-${nameOf(game.homeTeam)}-${dateOnly(game.gameDate)}.csv`
+      .replace(/[^\w.-]+/g, '_');
+    sendCsv(res, filename, toCsv(BOX_SCORE_COLUMNS, rows));
+  } catch (error) {
+    console.error('Export box score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,23 +1,85 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import Game from '../models/Game.js';
-import { protect, authorize } from '../middleware/auth.js';
+import GameEvent, { EVENT_TYPES, FOUL_TYPES } from '../models/GameEvent.js';
+import Season from '../models/Season.js';
+import Team from '../models/Team.js';
+import { protect, authorize, authorizeGameScorer } from '../middleware/auth.js';
+import {
+  recordGameEvent,
+  correctGameEvent,
+  voidGameEvent,
+  broadcastGameEvent,
+  recomputeGame
+} from '../utils/gameEvents.js';
+import { syncGameResults } from '../utils/gameResults.js';
+import { releaseClock } from '../utils/gameClock.js';
+import { buildBoxScore } from '../utils/boxScore.js';
+import { withAdvancedStats } from '../utils/advancedStats.js';
+import { resolveSeason, seasonForDate, seasonConflict } from '../utils/seasons.js';
+import { generateSchedule, homeAwayBalance, dayIndex } from '../utils/scheduler.js';
+import { canScoreGame } from '../utils/gameAccess.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+import { applyScoreUpdate, inGameOrder } from '../utils/gameUpdates.js';
+import { listValidators, applyRanges, paginate } from '../utils/listQuery.js';
+import { findTeamIds } from '../utils/search.js';
+import { setStartingLineup, gameLineups, trackedTeams } from '../utils/lineups.js';
+import { foulState } from '../utils/fouls.js';
+import { timeoutState, callTimeout, cancelTimeout, broadcastTimeout } from '../utils/timeouts.js';
 
 const router = express.Router();
 
+const GAME_LIST = {
+  sort: ['gameDate', 'status', 'homeScore', 'awayScore', 'attendance', 'createdAt'],
+  defaultSort: 'gameDate',
+  populate: {
+    homeTeam: 'name',
+    awayTeam: 'name',
+    season: 'name',
+    scorekeepers: 'name',
+    'gameStats.player': 'name team position'
+  },
+  defaultPopulate: ['homeTeam', 'awayTeam'],
+  ranges: {
+    from: { path: 'gameDate', op: '$gte', type: 'date' },
+    to: { path: 'gameDate', op: '$lte', type: 'date' }
+  }
+};
+
 // @desc    Get all games
 // @route   GET /api/games
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', listValidators(Game, GAME_LIST), async (req, res) => {
   try {
-    const { status, team, date } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, team, date, season } = req.query;
     let query = {};
 
     if (status) query.status = status;
+    if (season) {
+      const found = await resolveSeason(season);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Season not found'
+        });
+      }
+      query.season = found._id;
+    }
     if (team) {
+      // An ID or a team name such as "hawks"
+      const teamIds = await findTeamIds(team);
       query.$or = [
-        { homeTeam: { $regex: team, $options: 'i' } },
-        { awayTeam: { $regex: team, $options: 'i' } }
+        { homeTeam: { $in: teamIds } },
+        { awayTeam: { $in: teamIds } }
       ];
     }
     if (date) {
@@ -26,17 +88,14 @@ router.get('/', async (req, res) => {
       endDate.setDate(endDate.getDate() + 1);
       query.gameDate = { $gte: startDate, $lt: endDate };
     }
+    applyRanges(query, req.query, GAME_LIST);
+
+    const { data, meta } = await paginate(Game, query, req.query, GAME_LIST);
 
-    const games = await Game.find(query)
-      .populate('homeTeam', 'name')
-      .populate('awayTeam', 'name')
-      .populate('gameStats.player', 'name team position')
-      .sort({ gameDate: 1 });
-    
     res.json({
       success: true,
-      count: games.length,
-      data: games
+      ...meta,
+      data
     });
   } catch (error) {
     console.error('Get games error:', error);
@@ -77,6 +136,36 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Get box score for a game
+// @route   GET /api/games/:id/boxscore
+// @access  Public
+router.get('/:id/boxscore', async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id)
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .populate('gameStats.player', 'name team position jerseyNumber');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withAdvancedStats(buildBoxScore(game), game)
+    });
+  } catch (error) {
+    console.error('Get box score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Create new game
 // @route   POST /api/games
 // @access  Private (Admin/Coach)
@@ -84,7 +173,8 @@ router.post('/', protect, authorize('admin', 'coach'), [
   body('homeTeam').isMongoId().withMessage('Home team is required'),
   body('awayTeam').isMongoId().withMessage('Away team is required'),
   body('gameDate').isISO8601().withMessage('Valid game date is required'),
-  body('venue').optional().isString().withMessage('Venue must be a string')
+  body('venue').optional().isString().withMessage('Venue must be a string'),
+  body('season').optional().isMongoId().withMessage('Season must be a valid ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -96,7 +186,42 @@ router.post('/', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const game = await Game.create(req.body);
+    const { eventSequence, clock, startingLineups, teamFouls, timeouts, ...gameData } = req.body;
+    if (req.user.role !== 'admin') delete gameData.scorekeepers;
+
+    // Coaches can only schedule games for their own teams
+    if (!(await canScoreGame(req.user, gameData))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create games for these teams'
+      });
+    }
+
+    if (gameData.season) {
+      const season = await Season.findById(gameData.season);
+      const conflict = season
+        ? seasonConflict(season, gameData.homeTeam, gameData.awayTeam)
+        : 'Season not found';
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: conflict
+        });
+      }
+    } else {
+      // Put the game in the season its date falls in, if the teams are playing in it
+      const season = await seasonForDate(new Date(gameData.gameDate));
+      if (season && !seasonConflict(season, gameData.homeTeam, gameData.awayTeam)) {
+        gameData.season = season._id;
+      }
+    }
+
+    const game = await Game.create(gameData);
+
+    await recordAudit({ ...fromRequest(req), action: 'create', entity: 'Game', after: game });
+
+    // A past result entered directly counts towards records and averages straight away
+    if (game.status === 'completed') await syncGameResults(game);
 
     res.status(201).json({
       success: true,
@@ -111,23 +236,264 @@ router.post('/', protect, authorize('admin', 'coach'), [
   }
 });
 
+// @desc    Generate a round-robin schedule
+// @route   POST /api/games/schedule
+// @access  Private (Admin)
+router.post('/schedule', protect, authorize('admin'), [
+  body('season').optional().isMongoId().withMessage('Season must be a valid ID'),
+  body('teams').optional().isArray({ min: 2 }).withMessage('At least two teams are required'),
+  body('teams.*').isMongoId().withMessage('Teams must be valid team IDs'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('gameDays').optional().isArray().withMessage('Game days must be an array'),
+  body('gameDays.*').isInt({ min: 0, max: 6 }).withMessage('Game days must be 0 (Sunday) to 6 (Saturday)'),
+  body('gameTimes').optional().isArray({ min: 1 }).withMessage('Game times must be a non-empty array'),
+  body('gameTimes.*').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Game times must be HH:MM'),
+  body('meetings').optional().isInt({ min: 1, max: 10 }).withMessage('Meetings must be between 1-10'),
+  body('venues').optional().isArray().withMessage('Venues must be an array'),
+  body('venues.*').isString().notEmpty().withMessage('Venues must be names'),
+  body('minRestDays').optional().isInt({ min: 0, max: 14 }).withMessage('Rest days must be between 0-14'),
+  body('dryRun').optional().isBoolean().withMessage('Dry run must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { gameDays, gameTimes, meetings, venues, minRestDays } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    let { teams: teamIds, startDate, endDate } = req.body;
+
+    // A season supplies defaults for the teams and dates
+    let season = null;
+    if (req.body.season) {
+      season = await Season.findById(req.body.season);
+      if (!season) {
+        return res.status(404).json({
+          success: false,
+          message: 'Season not found'
+        });
+      }
+      if (season.status === 'archived') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot schedule games in an archived season'
+        });
+      }
+      teamIds = teamIds || season.teams.map((team) => team.toString());
+      startDate = startDate || season.startDate;
+      endDate = endDate || season.endDate;
+    }
+
+    if (!teamIds || teamIds.length < 2 || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Teams and a date range are required, directly or through a season'
+      });
+    }
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const uniqueIds = [...new Set(teamIds.map(String))];
+    const teams = await Team.find({ _id: { $in: uniqueIds } }).select('name homeVenue');
+    if (teams.length !== uniqueIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more teams not found'
+      });
+    }
+    if (season && season.teams.length > 0) {
+      const participants = season.teams.map((team) => team.toString());
+      if (uniqueIds.some((id) => !participants.includes(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'All teams must be participating in the season'
+        });
+      }
+    }
+
+    // Days the teams already play on, so nobody gets double-booked
+    const existingGames = await Game.find({
+      status: { $ne: 'cancelled' },
+      $or: [{ homeTeam: { $in: uniqueIds } }, { awayTeam: { $in: uniqueIds } }]
+    }).select('homeTeam awayTeam gameDate');
+    const busyDays = new Map();
+    existingGames.forEach((game) => {
+      [game.homeTeam, game.awayTeam].forEach((team) => {
+        const id = team.toString();
+        if (!busyDays.has(id)) busyDays.set(id, []);
+        busyDays.get(id).push(dayIndex(game.gameDate));
+      });
+    });
+
+    const { games, unscheduled } = generateSchedule({
+      teams,
+      startDate,
+      endDate,
+      gameDays: gameDays && gameDays.map(Number),
+      gameTimes,
+      meetings: meetings && Number(meetings),
+      venues,
+      minRestDays: minRestDays === undefined ? undefined : Number(minRestDays),
+      busyDays
+    });
+
+    const names = new Map(teams.map((team) => [team._id.toString(), team.name]));
+    const named = (pairing) => ({
+      ...pairing,
+      homeTeam: { _id: pairing.homeTeam, name: names.get(pairing.homeTeam) },
+      awayTeam: { _id: pairing.awayTeam, name: names.get(pairing.awayTeam) }
+    });
+    const preview = {
+      dryRun,
+      count: games.length,
+      data: games.map(named),
+      unscheduled: unscheduled.map(named),
+      balance: homeAwayBalance(games)
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, ...preview });
+    }
+
+    if (unscheduled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not every game fits in the date range, adjust the options and preview again',
+        ...preview
+      });
+    }
+
+    // Without a season each game goes in the season its date falls in, as with POST /
+    const seasonOf = async ({ homeTeam, awayTeam, gameDate }) => {
+      if (season) return season._id;
+      const covering = await seasonForDate(new Date(gameDate));
+      return covering && !seasonConflict(covering, homeTeam, awayTeam) ? covering._id : undefined;
+    };
+
+    const docs = [];
+    for (const { homeTeam, awayTeam, gameDate, venue } of games) {
+      docs.push({ homeTeam, awayTeam, gameDate, venue, season: await seasonOf({ homeTeam, awayTeam, gameDate }) });
+    }
+    const created = await Game.insertMany(docs);
+
+    for (const game of created) {
+      await recordAudit({ ...fromRequest(req), action: 'schedule', entity: 'Game', after: game });
+    }
+
+    res.status(201).json({
+      success: true,
+      ...preview,
+      data: created
+    });
+  } catch (error) {
+    console.error('Generate schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update game
 // @route   PUT /api/games/:id
 // @access  Private (Admin/Coach)
-router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer')
+], async (req, res) => {
   try {
-    const game = await Game.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // The clock is driven by the scorekeeper over the socket, lineups and timeouts through their routes
+    const { eventSequence, clock, version, startingLineups, teamFouls, timeouts, ...updates } = req.body;
+
+    // Only admins assign scorekeepers
+    if (req.user.role !== 'admin') delete updates.scorekeepers;
+
+    const existing = await Game.findById(req.params.id);
+
+    // Coaches cannot move a game to teams they could not have scheduled it for
+    if (existing && !(await canScoreGame(req.user, { ...existing.toObject(), ...updates }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to move games to these teams'
+      });
+    }
+
+    // Games with a play-by-play log get their score from the events
+    if (existing && existing.eventSequence > 0) {
+      delete updates.homeScore;
+      delete updates.awayScore;
+      delete updates.gameStats;
+    }
+
+    if (existing && updates.season && String(updates.season) !== String(existing.season)) {
+      const season = await Season.findById(updates.season);
+      const conflict = season
+        ? seasonConflict(season, updates.homeTeam || existing.homeTeam, updates.awayTeam || existing.awayTeam)
+        : 'Season not found';
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: conflict
+        });
+      }
+    }
+
+    // Only written if nobody changed the game since the version the client edited
+    const filter = { _id: req.params.id };
+    if (version !== undefined) filter.version = Number(version);
+
+    const game = await inGameOrder(req.params.id, async () => {
+      let updated = await Game.findOneAndUpdate(filter, { ...updates, $inc: { version: 1 } }, {
+        new: true,
+        runValidators: true
+      });
+      // Minutes from tracked lineups run to the final buzzer once the game ends
+      if (updated && updated.status !== existing.status && trackedTeams(updated).size > 0) {
+        updated = await recomputeGame(updated._id);
+      }
+      if (updated) req.app.get('io')?.to(updated._id.toString()).emit('gameUpdated', updated);
+      return updated;
     });
 
     if (!game) {
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'Game was updated by someone else, refresh and try again',
+          data: await Game.findById(req.params.id)
+        });
+      }
       return res.status(404).json({
         success: false,
         message: 'Game not found'
       });
     }
 
+    await recordAudit({ ...fromRequest(req), action: 'update', entity: 'Game', before: existing, after: game });
+
+    if (game.status !== 'in_progress') await releaseClock(game._id);
+
+    // Status, score, teams or box score may have changed, recount everyone involved
+    await syncGameResults(existing, game);
+
     res.json({
       success: true,
       data: game
@@ -144,9 +510,12 @@ router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
 // @desc    Update game score
 // @route   PUT /api/games/:id/score
 // @access  Private (Admin/Coach)
-router.put('/:id/score', protect, authorize('admin', 'coach'), [
-  body('homeScore').isInt({ min: 0 }).withMessage('Home score must be non-negative'),
-  body('awayScore').isInt({ min: 0 }).withMessage('Away score must be non-negative')
+router.put('/:id/score', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  body('homeScore').optional().isInt({ min: 0 }).withMessage('Home score must be non-negative'),
+  body('awayScore').optional().isInt({ min: 0 }).withMessage('Away score must be non-negative'),
+  body('homeDelta').optional().isInt().withMessage('Home score change must be an integer'),
+  body('awayDelta').optional().isInt().withMessage('Away score change must be an integer'),
+  body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -158,12 +527,28 @@ router.put('/:id/score', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const { homeScore, awayScore } = req.body;
-    const game = await Game.findByIdAndUpdate(
-      req.params.id,
-      { homeScore, awayScore },
-      { new: true, runValidators: true }
-    );
+    const { homeScore, awayScore, homeDelta, awayDelta, version } = req.body;
+
+    if ([homeScore, awayScore, homeDelta, awayDelta].every((value) => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a score or a score change'
+      });
+    }
+
+    const existing = await Game.findById(req.params.id);
+    if (existing && existing.eventSequence > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Score is derived from the play-by-play log, record an event instead'
+      });
+    }
+
+    const game = await inGameOrder(req.params.id, async () => {
+      const updated = await applyScoreUpdate(req.params.id, { homeScore, awayScore, homeDelta, awayDelta, version });
+      if (updated) req.app.get('io')?.to(updated._id.toString()).emit('gameUpdated', updated);
+      return updated;
+    });
 
     if (!game) {
       return res.status(404).json({
@@ -172,14 +557,27 @@ router.put('/:id/score', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const io = req.app.get("io");
-    io.to(game._id.toString()).emit("gameUpdated",game)
+    await recordAudit({ ...fromRequest(req), action: 'score', entity: 'Game', before: existing, after: game });
+    await syncGameResults(game);
 
     res.json({
       success: true,
       data: game
     });
   } catch (error) {
+    if (error.name === 'StaleGameError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: error.game
+      });
+    }
+    if (error.name === 'ScoreUpdateError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update score error:', error);
     res.status(500).json({
       success: false,
@@ -188,10 +586,471 @@ router.put('/:id/score', protect, authorize('admin', 'coach'), [
   }
 });
 
+// @desc    Get a game's fouls: team fouls and bonus this period, player fouls and foul-outs
+// @route   GET /api/games/:id/fouls
+// @access  Public
+router.get('/:id/fouls', async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id);
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...foulState(game),
+        byPeriod: game.teamFouls
+      }
+    });
+  } catch (error) {
+    console.error('Get game fouls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get each team's timeouts used and left in the current stretch of periods, and every timeout called
+// @route   GET /api/games/:id/timeouts
+// @access  Public
+router.get('/:id/timeouts', async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id);
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...timeoutState(game),
+        timeouts: game.timeouts
+      }
+    });
+  } catch (error) {
+    console.error('Get game timeouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Call a timeout for a team, stopping the clock
+// @route   POST /api/games/:id/timeouts
+// @access  Private (Admin/Coach)
+router.post('/:id/timeouts', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  body('team').isMongoId().withMessage('Team must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const before = await Game.findById(req.params.id);
+    const result = await inGameOrder(req.params.id, async () => {
+      const called = await callTimeout(req.params.id, req.body.team, req.user._id);
+      if (called) await broadcastTimeout(req.app.get('io'), called.game, called.timeout);
+      return called;
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'call_timeout', entity: 'Game', before, after: result.game });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        timeout: result.timeout,
+        ...timeoutState(result.game)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'GameClockError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Call timeout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a timeout recorded by mistake
+// @route   DELETE /api/games/:id/timeouts/:timeoutId
+// @access  Private (Admin/Coach)
+router.delete('/:id/timeouts/:timeoutId', protect, authorize('admin', 'coach'), authorizeGameScorer, async (req, res) => {
+  try {
+    const before = await Game.findById(req.params.id);
+    const game = await inGameOrder(req.params.id, async () => {
+      const updated = await cancelTimeout(req.params.id, req.params.timeoutId);
+      if (updated) await broadcastTimeout(req.app.get('io'), updated);
+      return updated;
+    });
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'cancel_timeout', entity: 'Game', before, after: game });
+
+    res.json({
+      success: true,
+      data: timeoutState(game)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cancel timeout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a game's starting lineups, who is on the floor and five-man unit stats
+// @route   GET /api/games/:id/lineups
+// @access  Public
+router.get('/:id/lineups', async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id);
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await gameLineups(game)
+    });
+  } catch (error) {
+    console.error('Get game lineups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set a team's starting lineup before tip-off
+// @route   PUT /api/games/:id/lineups
+// @access  Private (Admin/Coach)
+router.put('/:id/lineups', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  body('team').isMongoId().withMessage('Team must be a valid ID'),
+  body('players').isArray({ min: 5, max: 5 }).withMessage('Players must be the five starters'),
+  body('players.*').isMongoId().withMessage('Players must be valid IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const before = await Game.findById(req.params.id);
+    const game = await inGameOrder(req.params.id, async () => {
+      const updated = await setStartingLineup(req.params.id, req.body.team, req.body.players);
+      if (!updated) return null;
+
+      // Starters get their box score lines straight away
+      const recomputed = await recomputeGame(updated._id);
+      await recomputed.populate([
+        { path: 'homeTeam', select: 'name' },
+        { path: 'awayTeam', select: 'name' }
+      ]);
+      req.app.get('io')?.to(recomputed._id.toString()).emit('gameUpdated', recomputed);
+      return recomputed;
+    });
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'set_lineup', entity: 'Game', before, after: game });
+
+    res.json({
+      success: true,
+      data: await gameLineups(game)
+    });
+  } catch (error) {
+    if (error.name === 'LineupError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Set game lineup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get play-by-play events for a game
+// @route   GET /api/games/:id/events
+// @access  Public
+router.get('/:id/events', [
+  query('since').optional().isInt({ min: 0 }).withMessage('Since must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { since, includeVoided } = req.query;
+
+    const game = await Game.findById(req.params.id).select('_id');
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    const query = { game: game._id };
+    if (since) query.sequence = { $gt: Number(since) };
+    if (includeVoided !== 'true') query.voided = false;
+
+    const events = await GameEvent.find(query)
+      .populate('team', 'name')
+      .populate('player', 'name jerseyNumber')
+      .populate('playerOut', 'name jerseyNumber')
+      .sort({ sequence: 1 });
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get game events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+const eventValidators = [
+  body('period').optional().isInt({ min: 1 }).withMessage('Period must be a positive number'),
+  body('clock').optional().isString().withMessage('Clock must be a string'),
+  body('team').optional().isMongoId().withMessage('Team must be a valid ID'),
+  body('player').optional().isMongoId().withMessage('Player must be a valid ID'),
+  body('playerOut').optional().isMongoId().withMessage('Player out must be a valid ID'),
+  body('made').optional().isBoolean().withMessage('Made must be true or false'),
+  body('points').optional().isIn([1, 2, 3]).withMessage('Points must be 1, 2 or 3'),
+  body('offensive').optional().isBoolean().withMessage('Offensive must be true or false'),
+  body('foulType').optional().isIn(FOUL_TYPES).withMessage(`Foul type must be one of: ${FOUL_TYPES.join(', ')}`)
+];
+
+// @desc    Record a play-by-play event
+// @route   POST /api/games/:id/events
+// @access  Private (Admin/Coach)
+router.post('/:id/events', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  body('type').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  ...eventValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await inGameOrder(req.params.id, async () => {
+      const changed = await recordGameEvent(req.params.id, req.body, req.user._id);
+      if (changed) await broadcastGameEvent(req.app.get('io'), 'recorded', changed);
+      return changed;
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'record', entity: 'GameEvent', after: result.event });
+
+    res.status(201).json({
+      success: true,
+      data: result.event,
+      game: result.game
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record game event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Correct a play-by-play event
+// @route   PUT /api/games/:id/events/:eventId
+// @access  Private (Admin/Coach)
+router.put('/:id/events/:eventId', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  param('eventId').isMongoId().withMessage('Event ID must be a valid ID'),
+  body('type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  ...eventValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await inGameOrder(req.params.id, async () => {
+      const changed = await correctGameEvent(req.params.id, req.params.eventId, req.body, req.user._id);
+      if (changed) await broadcastGameEvent(req.app.get('io'), 'corrected', changed);
+      return changed;
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    await recordAudit({
+      ...fromRequest(req), action: 'correct', entity: 'GameEvent', before: result.previous, after: result.event
+    });
+
+    res.json({
+      success: true,
+      data: result.event,
+      game: result.game
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Correct game event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Void a play-by-play event
+// @route   DELETE /api/games/:id/events/:eventId
+// @access  Private (Admin/Coach)
+router.delete('/:id/events/:eventId', protect, authorize('admin', 'coach'), authorizeGameScorer, [
+  param('eventId').isMongoId().withMessage('Event ID must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await inGameOrder(req.params.id, async () => {
+      const changed = await voidGameEvent(req.params.id, req.params.eventId, req.user._id);
+      if (changed) await broadcastGameEvent(req.app.get('io'), 'voided', changed);
+      return changed;
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    await recordAudit({
+      ...fromRequest(req), action: 'void', entity: 'GameEvent', before: result.previous, after: result.event
+    });
+
+    res.json({
+      success: true,
+      data: result.event,
+      game: result.game
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Void game event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Delete game
 // @route   DELETE /api/games/:id
 // @access  Private (Admin)
-router.delete('/:id', protect, authorize('admin','coach'), async (req, res) => {
+router.delete('/:id', protect, authorize('admin','coach'), authorizeGameScorer, async (req, res) => {
   try {
     const game = await Game.findByIdAndDelete(req.params.id);
 
@@ -202,6 +1061,12 @@ router.delete('/:id', protect, authorize('admin','coach'), async (req, res) => {
       });
     }
 
+    await recordAudit({ ...fromRequest(req), action: 'delete', entity: 'Game', before: game });
+
+    await releaseClock(game._id);
+    await GameEvent.deleteMany({ game: game._id });
+    await syncGameResults(game);
+
     res.json({
       success: true,
       message: 'Game deleted successfully'
@@ -0,0 +1,109 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import { parseCsv, CsvError } from '../utils/csv.js';
+import {
+  MAX_IMPORT_ROWS,
+  previewPlayers,
+  previewGames,
+  commitPlayers,
+  commitGames
+} from '../utils/csvImport.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Imports take the CSV as the raw body or as { csv } in JSON
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
+
+const csvFromRequest = (req) => {
+  const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+  if (!text) throw new CsvError('Send the CSV as the request body or as a csv field');
+
+  const records = parseCsv(text);
+  if (records.length === 0) throw new CsvError('CSV has no rows');
+  if (records.length > MAX_IMPORT_ROWS) throw new CsvError(`CSV cannot have more than ${MAX_IMPORT_ROWS} rows`);
+  return records;
+};
+
+const isDryRun = (req) => [req.query.dryRun, req.body && req.body.dryRun].some(
+  (value) => value === true || value === 'true'
+);
+
+// Validate every row, then either answer with the preview or write all rows.
+// Nothing is written unless every row is valid. commit returns the created
+// documents and warnings about rows that were written all the same.
+const importCsv = ({ entity, preview, commit }) => async (req, res) => {
+  try {
+    const rows = await preview(csvFromRequest(req));
+    const errorCount = rows.filter((row) => row.errors.length > 0).length;
+
+    if (isDryRun(req)) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        valid: errorCount === 0,
+        count: rows.length,
+        errorCount,
+        data: rows
+      });
+    }
+
+    if (errorCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV has errors, nothing was imported',
+        count: rows.length,
+        errorCount,
+        data: rows.filter((row) => row.errors.length > 0)
+      });
+    }
+
+    const { created, warnings = [] } = await commit(rows, req.user._id);
+
+    for (const doc of created) {
+      await recordAudit({ ...fromRequest(req), action: 'import', entity, after: doc });
+    }
+
+    res.status(201).json({
+      success: true,
+      count: created.length,
+      ...(warnings.length > 0 ? { warnings } : {}),
+      data: created
+    });
+  } catch (error) {
+    if (error.name === 'CsvError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`Import ${entity} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Import players from CSV
+// @route   POST /api/import/players
+// @access  Private (Admin)
+router.post('/players', protect, authorize('admin'), importCsv({
+  entity: 'Player',
+  preview: previewPlayers,
+  commit: async (rows, userId) => {
+    const { players, mailErrors } = await commitPlayers(rows, userId);
+    return { created: players, warnings: mailErrors };
+  }
+}));
+
+// @desc    Import a schedule of games from CSV
+// @route   POST /api/import/games
+// @access  Private (Admin)
+router.post('/games', protect, authorize('admin'), importCsv({
+  entity: 'Game',
+  preview: previewGames,
+  commit: async (rows) => ({ created: await commitGames(rows) })
+}));
+
+export default router;
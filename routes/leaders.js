@@ -0,0 +1,72 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { leaders, LEADER_CATEGORIES, LEADER_MODES } from '../utils/leaders.js';
+import { statsFilter } from '../utils/seasons.js';
+import { findTeamIds } from '../utils/search.js';
+
+const router = express.Router();
+
+const listOf = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+// @desc    Get league leaders per stat category
+// @route   GET /api/leaders
+// @access  Public
+router.get('/', [
+  query('category').optional()
+    .custom((value) => listOf(value).length > 0 && listOf(value).every((category) => LEADER_CATEGORIES.includes(category)))
+    .withMessage(`Category must be made of: ${LEADER_CATEGORIES.join(', ')}`),
+  query('mode').optional().isIn(LEADER_MODES).withMessage(`Mode must be one of: ${LEADER_MODES.join(', ')}`),
+  query('minGames').optional().isInt({ min: 1 }).withMessage('Minimum games must be a positive number'),
+  query('minAttempts').optional().isInt({ min: 1 }).withMessage('Minimum attempts must be a positive number'),
+  query('position').optional().isIn(['PG', 'SG', 'SF', 'PF', 'C']).withMessage('Invalid position'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { category, mode = 'perGame', minGames, minAttempts, position, team, limit } = req.query;
+
+    const games = await statsFilter(req.query);
+    if (!games) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const data = await leaders({
+      categories: category ? listOf(category) : LEADER_CATEGORIES,
+      mode,
+      minGames: Number(minGames) || 1,
+      minAttempts: Number(minAttempts) || 10,
+      teams: team ? (await findTeamIds(team)).map(String) : undefined,
+      position,
+      filter: games.filter,
+      limit: Number(limit) || 10
+    });
+
+    res.json({
+      success: true,
+      mode,
+      season: games.season ? games.season._id : null,
+      data
+    });
+  } catch (error) {
+    console.error('Get leaders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -1,33 +1,81 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import Player from '../models/Player.js';
 import Team from '../models/Team.js';
 import User from '../models/User.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { resolveSeason, statsFilter, withSeasonStats } from '../utils/seasons.js';
+import { summarizeLines } from '../utils/playerStats.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+import { createPlayer, rosterHistory, jerseyAvailable, RosterError } from '../utils/roster.js';
+import { listValidators, applyRanges, paginate } from '../utils/listQuery.js';
+import { playerAdvancedStats } from '../utils/advancedStats.js';
 
 const router = express.Router();
 
+const PLAYER_LIST = {
+  // Height is free text such as 6'2", so it can be neither sorted nor ranged on
+  sort: [
+    'name', 'position', 'jerseyNumber', 'age', 'weight', 'createdAt',
+    'stats.pointsPerGame', 'stats.reboundsPerGame', 'stats.assistsPerGame', 'stats.gamesPlayed'
+  ],
+  defaultSort: 'name',
+  populate: {
+    team: 'name colors',
+    user: 'name email'
+  },
+  defaultPopulate: ['team', 'user'],
+  ranges: {
+    minAge: { path: 'age', op: '$gte', type: 'int' },
+    maxAge: { path: 'age', op: '$lte', type: 'int' },
+    minWeight: { path: 'weight', op: '$gte', type: 'int' },
+    maxWeight: { path: 'weight', op: '$lte', type: 'int' }
+  }
+};
+
 // @desc    Get all players
 // @route   GET /api/players
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', listValidators(Player, PLAYER_LIST), async (req, res) => {
   try {
-    const { team, position, isActive } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { team, position, isActive, season } = req.query;
     let query = {};
 
     if (team) query.team = team;
     if (position) query.position = position;
     if (isActive && (isActive === 'true' || isActive === 'false')) query.isActive = isActive === 'true';
 
-    const players = await Player.find(query)
-      .populate('team', 'name colors')
-      .populate('user', 'name email')
-      .sort({ name: 1 });
-    
+    // With a season, list the players who appeared in it
+    const seasonDoc = await resolveSeason(season);
+    if (seasonDoc === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+    if (seasonDoc) query['seasonStats.season'] = seasonDoc._id;
+    applyRanges(query, req.query, PLAYER_LIST);
+
+    const { data, meta } = await paginate(Player, query, req.query, {
+      ...PLAYER_LIST,
+      select: seasonDoc ? ['seasonStats'] : []
+    });
+
     res.json({
       success: true,
-      count: players.length,
-      data: players
+      ...meta,
+      data: seasonDoc
+        ? data.map((player) => withSeasonStats(player, seasonDoc, summarizeLines([])))
+        : data
     });
   } catch (error) {
     console.error('Get players error:', error);
@@ -54,9 +102,17 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const season = await resolveSeason(req.query.season);
+    if (season === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: player
+      data: season ? withSeasonStats(player, season, summarizeLines([])) : player
     });
   } catch (error) {
     console.error('Get player error:', error);
@@ -67,6 +123,87 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Get a player's advanced metrics over their completed games
+// @route   GET /api/players/:id/advanced
+// @access  Public
+router.get('/:id/advanced', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const player = await Player.findById(req.params.id).select('name');
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    const games = await statsFilter(req.query);
+    if (!games) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        player,
+        season: games.season ? games.season._id : null,
+        ...(await playerAdvancedStats(player._id, games.filter))
+      }
+    });
+  } catch (error) {
+    console.error('Get player advanced stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a player's roster transactions
+// @route   GET /api/players/:id/transactions
+// @access  Public
+router.get('/:id/transactions', async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id).select('_id');
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    const transactions = await rosterHistory({ player: player._id });
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    console.error('Get player transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Create new player
 // @route   POST /api/players
 // @access  Private (Admin/Coach)
@@ -90,7 +227,7 @@ router.post('/', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const { user, team, ...playerData } = req.body;
+    const { user, team, stats, seasonStats, ...playerData } = req.body;
 
     // Verify user exists and is a player
     const userExists = await User.findById(user);
@@ -127,31 +264,15 @@ router.post('/', protect, authorize('admin', 'coach'), [
       });
     }
 
-    // Check if jersey number is already taken in this team
-    const jerseyTaken = await Player.findOne({ team, jerseyNumber: playerData.jerseyNumber });
-    if (jerseyTaken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Jersey number already taken in this team'
-      });
-    }
-
-    const player = await Player.create({
-      ...playerData,
-      user,
-      team
+    // Links the user and team roster, and checks the jersey number is free
+    const { player } = await createPlayer({
+      team: teamExists,
+      user: userExists,
+      data: playerData,
+      recordedBy: req.user._id
     });
 
-    // Update user's team and player profile references
-    await User.findByIdAndUpdate(user, {
-      team: team,
-      playerProfile: player._id
-    });
-
-    // Add player to team
-    await Team.findByIdAndUpdate(team, {
-      $addToSet: { players: player._id }
-    });
+    await recordAudit({ ...fromRequest(req), action: 'create', entity: 'Player', after: player });
 
     const populatedPlayer = await Player.findById(player._id)
       .populate('team', 'name colors')
@@ -162,6 +283,12 @@ router.post('/', protect, authorize('admin', 'coach'), [
       data: populatedPlayer
     });
   } catch (error) {
+    if (error.name === 'RosterError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Create player error:', error);
     res.status(500).json({
       success: false,
@@ -173,8 +300,19 @@ router.post('/', protect, authorize('admin', 'coach'), [
 // @desc    Update player
 // @route   PUT /api/players/:id
 // @access  Private (Admin/Coach)
-router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'coach'), [
+  body('jerseyNumber').optional().isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const player = await Player.findById(req.params.id).populate('team');
     
     if (!player) {
@@ -184,25 +322,43 @@ router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
       });
     }
 
-    // Check if coach is authorized to update this player
-    if (req.user.role === 'coach' && player.team.coach.toString() !== req.user.id) {
+    // Check if coach is authorized to update this player; free agents are managed by admins
+    if (req.user.role === 'coach' && (!player.team || player.team.coach.toString() !== req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this player'
       });
     }
 
-    const updatedPlayer = await Player.findByIdAndUpdate(req.params.id, req.body, {
+    // Stats are derived from completed games, not edited directly, and team
+    // changes go through the roster transaction routes on /api/teams
+    const { stats, seasonStats, team, ...updates } = req.body;
+
+    // A new number has to be free on the team, including numbers held by invitations
+    if (player.team && updates.jerseyNumber !== undefined && Number(updates.jerseyNumber) !== player.jerseyNumber
+      && !(await jerseyAvailable(player.team._id, Number(updates.jerseyNumber), { ignorePlayers: [player._id] }))) {
+      throw new RosterError(`Jersey number ${updates.jerseyNumber} is already taken on this team, choose another`);
+    }
+
+    const updatedPlayer = await Player.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     }).populate('team', 'name colors')
       .populate('user', 'name email');
 
+    await recordAudit({ ...fromRequest(req), action: 'update', entity: 'Player', before: player, after: updatedPlayer });
+
     res.json({
       success: true,
       data: updatedPlayer
     });
   } catch (error) {
+    if (error.name === 'RosterError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update player error:', error);
     res.status(500).json({
       success: false,
@@ -226,7 +382,7 @@ router.delete('/:id', protect, authorize('admin', 'coach'), async (req, res) =>
     }
 
     // Check if coach is authorized to delete this player
-    if (req.user.role === 'coach' && player.team.coach.toString() !== req.user.id) {
+    if (req.user.role === 'coach' && (!player.team || player.team.coach.toString() !== req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this player'
@@ -234,7 +390,7 @@ router.delete('/:id', protect, authorize('admin', 'coach'), async (req, res) =>
     }
 
     // Remove player from team
-    await Team.findByIdAndUpdate(player.team._id, {
+    await Team.updateMany({ players: player._id }, {
       $pull: { players: player._id }
     });
 
@@ -245,6 +401,8 @@ router.delete('/:id', protect, authorize('admin', 'coach'), async (req, res) =>
 
     await Player.findByIdAndDelete(req.params.id);
 
+    await recordAudit({ ...fromRequest(req), action: 'delete', entity: 'Player', before: player });
+
     res.json({
       success: true,
       message: 'Player deleted successfully'
@@ -0,0 +1,50 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { search, SEARCH_TYPES } from '../utils/search.js';
+
+const router = express.Router();
+
+const typesOf = (value) => String(value).split(',').map((type) => type.trim()).filter(Boolean);
+
+// @desc    Search players, teams and games
+// @route   GET /api/search
+// @access  Public
+router.get('/', [
+  query('q').not().isArray().withMessage('Search must be a single value').bail()
+    .trim().isLength({ min: 2, max: 100 }).withMessage('Search must be between 2-100 characters'),
+  query('types').optional()
+    .custom((value) => typesOf(value).length > 0 && typesOf(value).every((type) => SEARCH_TYPES.includes(type)))
+    .withMessage(`Types must be made of: ${SEARCH_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { terms, day, results } = await search(req.query.q, {
+      types: req.query.types ? typesOf(req.query.types) : SEARCH_TYPES,
+      limit: Number(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      count: results.length,
+      query: { terms, day },
+      data: results
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
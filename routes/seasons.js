@@ -0,0 +1,314 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Season from '../models/Season.js';
+import Game from '../models/Game.js';
+import Team from '../models/Team.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { queueStatsRebuild } from '../utils/gameResults.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+import { listValidators, applyRanges, paginate } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+const SEASON_LIST = {
+  sort: ['startDate', 'endDate', 'name', 'status'],
+  defaultSort: '-startDate',
+  populate: {
+    teams: 'name'
+  },
+  defaultPopulate: ['teams'],
+  ranges: {
+    from: { path: 'endDate', op: '$gte', type: 'date' },
+    to: { path: 'startDate', op: '$lte', type: 'date' }
+  }
+};
+
+const SEASON_STATUSES = ['upcoming', 'active', 'completed', 'archived'];
+
+const ONE_ACTIVE_SEASON = 'Another season is already active, complete it first';
+
+// @desc    Get all seasons
+// @route   GET /api/seasons
+// @access  Public
+router.get('/', listValidators(Season, SEASON_LIST), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.query;
+    let query = {};
+
+    if (status) query.status = status;
+    applyRanges(query, req.query, SEASON_LIST);
+
+    const { data, meta } = await paginate(Season, query, req.query, SEASON_LIST);
+
+    res.json({
+      success: true,
+      ...meta,
+      data
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single season
+// @route   GET /api/seasons/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id)
+      .populate('teams', 'name colors');
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: season
+    });
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Check that every id in a season's teams list is an existing team
+const teamsExist = async (teams) => {
+  if (!teams || teams.length === 0) return true;
+  const count = await Team.countDocuments({ _id: { $in: teams } });
+  return count === new Set(teams.map(String)).size;
+};
+
+// @desc    Create new season
+// @route   POST /api/seasons
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('name').notEmpty().withMessage('Season name is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('teams').optional().isArray().withMessage('Teams must be an array'),
+  body('teams.*').isMongoId().withMessage('Teams must be valid team IDs'),
+  body('status').optional().isIn(SEASON_STATUSES).withMessage('Invalid season status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, startDate, endDate, teams, status } = req.body;
+
+    const existingSeason = await Season.findOne({ name });
+    if (existingSeason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Season name already exists'
+      });
+    }
+
+    if (!(await teamsExist(teams))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more teams not found'
+      });
+    }
+
+    if (status === 'active' && (await Season.exists({ status: 'active' }))) {
+      return res.status(400).json({
+        success: false,
+        message: ONE_ACTIVE_SEASON
+      });
+    }
+
+    const season = await Season.create({ name, startDate, endDate, teams, status });
+
+    await recordAudit({ ...fromRequest(req), action: 'create', entity: 'Season', after: season });
+
+    // A new active season becomes the one Team and Player stats show
+    if (season.status === 'active') queueStatsRebuild();
+
+    res.status(201).json({
+      success: true,
+      data: season
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    // Another season was made active at the same time
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.status) {
+      return res.status(400).json({
+        success: false,
+        message: ONE_ACTIVE_SEASON
+      });
+    }
+    console.error('Create season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update season
+// @route   PUT /api/seasons/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), [
+  body('name').optional().notEmpty().withMessage('Season name cannot be empty'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('teams').optional().isArray().withMessage('Teams must be an array'),
+  body('teams.*').isMongoId().withMessage('Teams must be valid team IDs'),
+  body('status').optional().isIn(SEASON_STATUSES).withMessage('Invalid season status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const { name, startDate, endDate, teams, status } = req.body;
+
+    // Archived seasons are kept as they were, only their status can change
+    if (season.status === 'archived' && [name, startDate, endDate, teams].some((v) => v !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived seasons are read-only, unarchive the season first'
+      });
+    }
+
+    if (!(await teamsExist(teams))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more teams not found'
+      });
+    }
+
+    if (status === 'active' && (await Season.exists({ status: 'active', _id: { $ne: season._id } }))) {
+      return res.status(400).json({
+        success: false,
+        message: ONE_ACTIVE_SEASON
+      });
+    }
+
+    const before = season.toObject();
+    const wasActive = season.status === 'active';
+    if (name !== undefined) season.name = name;
+    if (startDate !== undefined) season.startDate = startDate;
+    if (endDate !== undefined) season.endDate = endDate;
+    if (teams !== undefined) season.teams = teams;
+    if (status !== undefined) season.status = status;
+    await season.save();
+
+    await recordAudit({ ...fromRequest(req), action: 'update', entity: 'Season', before, after: season });
+
+    // Which season is current may have changed
+    if (wasActive !== (season.status === 'active')) queueStatsRebuild();
+
+    res.json({
+      success: true,
+      data: season
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    // Another season was made active at the same time
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.status) {
+      return res.status(400).json({
+        success: false,
+        message: ONE_ACTIVE_SEASON
+      });
+    }
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete season
+// @route   DELETE /api/seasons/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const games = await Game.countDocuments({ season: season._id });
+    if (games > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Season has games, archive it instead'
+      });
+    }
+
+    await Season.findByIdAndDelete(req.params.id);
+
+    await recordAudit({ ...fromRequest(req), action: 'delete', entity: 'Season', before: season });
+
+    if (season.status === 'active') queueStatsRebuild();
+
+    res.json({
+      success: true,
+      message: 'Season deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
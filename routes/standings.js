@@ -0,0 +1,52 @@
+import express from 'express';
+import Game from '../models/Game.js';
+import Team from '../models/Team.js';
+import { computeStandings } from '../utils/standings.js';
+import { resolveSeason, getCurrentSeason } from '../utils/seasons.js';
+
+const router = express.Router();
+
+// @desc    Get league standings
+// @route   GET /api/standings
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    // Default to the current season when the league has one
+    const season = req.query.season
+      ? await resolveSeason(req.query.season)
+      : await getCurrentSeason();
+    if (req.query.season && !season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const teamQuery = season && season.teams.length > 0
+      ? { _id: { $in: season.teams } }
+      : { isActive: true };
+    const gameQuery = { status: 'completed' };
+    if (season) gameQuery.season = season._id;
+
+    const teams = await Team.find(teamQuery).select('name');
+    const games = await Game.find(gameQuery)
+      .select('homeTeam awayTeam homeScore awayScore gameDate');
+
+    const standings = computeStandings(teams, games);
+
+    res.json({
+      success: true,
+      season: season ? { _id: season._id, name: season.name, status: season.status } : null,
+      count: standings.length,
+      data: standings
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
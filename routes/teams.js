@@ -1,32 +1,84 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import Team from '../models/Team.js';
 import Player from '../models/Player.js';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import JoinRequest from '../models/JoinRequest.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { resolveSeason, statsFilter, withSeasonStats } from '../utils/seasons.js';
+import { recordAudit, fromRequest } from '../utils/audit.js';
+import { signPlayer, releasePlayer, tradePlayers, rosterHistory, jerseyAvailable } from '../utils/roster.js';
+import { sendInvitationEmail } from '../utils/invitations.js';
+import { requestToJoin, approveJoinRequest, rejectJoinRequest } from '../utils/joinRequests.js';
+import { listValidators, applyRanges, paginate } from '../utils/listQuery.js';
+import { headToHead } from '../utils/headToHead.js';
+import { teamAdvancedStats } from '../utils/advancedStats.js';
+import { teamLineupStats } from '../utils/lineups.js';
+
+const EMPTY_RECORD = { wins: 0, losses: 0, winPercentage: 0 };
+
+const TEAM_LIST = {
+  sort: ['name', 'foundedYear', 'stats.wins', 'stats.losses', 'stats.winPercentage', 'createdAt'],
+  defaultSort: 'name',
+  populate: {
+    coach: 'name email',
+    players: 'name position jerseyNumber'
+  },
+  defaultPopulate: ['coach'],
+  ranges: {
+    minFoundedYear: { path: 'foundedYear', op: '$gte', type: 'int' },
+    maxFoundedYear: { path: 'foundedYear', op: '$lte', type: 'int' }
+  }
+};
 
 const router = express.Router();
 
 // @desc    Get all teams
 // @route   GET /api/teams
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', listValidators(Team, TEAM_LIST), async (req, res) => {
   try {
-    const { coach, isActive } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { coach, isActive, season } = req.query;
     let query = {};
 
     if (coach) query.coach = coach;
     if (isActive !== undefined) query.isActive = isActive === 'true';
 
-    const teams = await Team.find(query)
-      .populate('coach', 'name email')
-      .populate('players', 'name position jerseyNumber')
-      .sort({ name: 1 });
-    
+    const seasonDoc = await resolveSeason(season);
+    if (seasonDoc === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+    if (seasonDoc) {
+      // Seasons without a team list include every team that played in them
+      if (seasonDoc.teams.length > 0) query._id = { $in: seasonDoc.teams };
+      else query['seasonStats.season'] = seasonDoc._id;
+    }
+    applyRanges(query, req.query, TEAM_LIST);
+
+    const { data, meta } = await paginate(Team, query, req.query, {
+      ...TEAM_LIST,
+      select: seasonDoc ? ['seasonStats'] : []
+    });
+
     res.json({
       success: true,
-      count: teams.length,
-      data: teams
+      ...meta,
+      data: seasonDoc
+        ? data.map((team) => withSeasonStats(team, seasonDoc, EMPTY_RECORD))
+        : data
     });
   } catch (error) {
     console.error('Get teams error:', error);
@@ -53,9 +105,17 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const season = await resolveSeason(req.query.season);
+    if (season === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: team
+      data: season ? withSeasonStats(team, season, EMPTY_RECORD) : team
     });
   } catch (error) {
     console.error('Get team error:', error);
@@ -75,7 +135,8 @@ router.post('/', protect, authorize('admin', 'coach'), [
   body('foundedYear').optional().isInt({ min: 1800, max: new Date().getFullYear() }).withMessage('Invalid founded year'),
   body('homeVenue').optional().isString().withMessage('Home venue must be a string'),
   body('colors.primary').optional().isString().withMessage('Primary color must be a string'),
-  body('colors.secondary').optional().isString().withMessage('Secondary color must be a string')
+  body('colors.secondary').optional().isString().withMessage('Secondary color must be a string'),
+  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -87,7 +148,7 @@ router.post('/', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const { name, description, foundedYear, homeVenue, colors, logo } = req.body;
+    const { name, description, foundedYear, homeVenue, colors, logo, isPrivate } = req.body;
 
     // Check if team name already exists
     const existingTeam = await Team.findOne({ name });
@@ -124,11 +185,14 @@ router.post('/', protect, authorize('admin', 'coach'), [
       foundedYear,
       homeVenue,
       colors,
-      logo
+      logo,
+      isPrivate
     };
 
     const team = await Team.create(teamData);
 
+    await recordAudit({ ...fromRequest(req), action: 'create', entity: 'Team', after: team });
+
     // Add team to coach's managed teams
     await User.findByIdAndUpdate(coachId, {
       $addToSet: { managedTeams: team._id }
@@ -154,8 +218,20 @@ router.post('/', protect, authorize('admin', 'coach'), [
 // @desc    Update team
 // @route   PUT /api/teams/:id
 // @access  Private (Admin/Coach - only team's coach)
-router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
+router.put('/:id', protect, authorize('admin', 'coach'), [
+  body('coach').optional().isMongoId().withMessage('Coach must be a valid ID'),
+  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be true or false')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const team = await Team.findById(req.params.id);
     
     if (!team) {
@@ -173,12 +249,35 @@ router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
       });
     }
 
-    const updatedTeam = await Team.findByIdAndUpdate(req.params.id, req.body, {
+    // Records are counted from completed games, not edited directly, and the
+    // roster only changes through sign, release and trade
+    const { stats, seasonStats, players, coach, ...updates } = req.body;
+
+    // Only admins hand a team to another coach
+    if (req.user.role === 'admin' && coach !== undefined && String(coach) !== team.coach.toString()) {
+      const newCoach = await User.findById(coach);
+      if (!newCoach || newCoach.role !== 'coach') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid coach specified'
+        });
+      }
+      updates.coach = newCoach._id;
+    }
+
+    const updatedTeam = await Team.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     }).populate('coach', 'name email')
       .populate('players', 'name position jerseyNumber');
 
+    if (updates.coach) {
+      await User.findByIdAndUpdate(team.coach, { $pull: { managedTeams: team._id } });
+      await User.findByIdAndUpdate(updates.coach, { $addToSet: { managedTeams: team._id } });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'update', entity: 'Team', before: team, after: updatedTeam });
+
     res.json({
       success: true,
       data: updatedTeam
@@ -192,11 +291,212 @@ router.put('/:id', protect, authorize('admin', 'coach'), async (req, res) => {
   }
 });
 
-// @desc    Add player to team
+// @desc    Get a team's roster transactions
+// @route   GET /api/teams/:id/transactions
+// @access  Public
+router.get('/:id/transactions', async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id).select('_id');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const transactions = await rosterHistory({ team: team._id });
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    console.error('Get team transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a team's advanced metrics over its completed games
+// @route   GET /api/teams/:id/advanced
+// @access  Public
+router.get('/:id/advanced', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id).select('name');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const games = await statsFilter(req.query);
+    if (!games) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        team,
+        season: games.season ? games.season._id : null,
+        ...(await teamAdvancedStats(team._id, games.filter))
+      }
+    });
+  } catch (error) {
+    console.error('Get team advanced stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a team's five-man unit stats over its completed games with tracked lineups
+// @route   GET /api/teams/:id/lineups
+// @access  Public
+router.get('/:id/lineups', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('minMinutes').optional().isFloat({ min: 0 }).withMessage('Minimum minutes must be a non-negative number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id).select('name');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const games = await statsFilter(req.query);
+    if (!games) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const { gamesTracked, units } = await teamLineupStats(team._id, games.filter);
+    const shown = units.filter((unit) => unit.minutes >= (Number(req.query.minMinutes) || 0));
+
+    res.json({
+      success: true,
+      count: shown.length,
+      team,
+      gamesTracked,
+      data: shown
+    });
+  } catch (error) {
+    console.error('Get team lineups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get the history of meetings between two teams
+// @route   GET /api/teams/:id/vs/:otherId
+// @access  Public
+router.get('/:id/vs/:otherId', [
+  param('id').isMongoId().withMessage('Team must be a valid ID'),
+  param('otherId').isMongoId().withMessage('Opponent must be a valid ID')
+    .custom((value, { req }) => value !== req.params.id).withMessage('A team cannot play itself'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const [team, opponent] = await Promise.all([
+      Team.findById(req.params.id).select('name colors logo'),
+      Team.findById(req.params.otherId).select('name colors logo')
+    ]);
+
+    if (!team || !opponent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const games = await statsFilter(req.query);
+    if (!games) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    const history = await headToHead(team, opponent, games.filter);
+
+    res.json({
+      success: true,
+      data: {
+        team,
+        opponent,
+        ...history
+      }
+    });
+  } catch (error) {
+    console.error('Get head-to-head error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+const transactionValidators = [
+  body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+];
+
+// @desc    Sign a free agent to the team
 // @route   POST /api/teams/:id/players
 // @access  Private (Admin/Coach - only team's coach)
 router.post('/:id/players', protect, authorize('admin', 'coach'), [
-  body('playerId').isMongoId().withMessage('Valid player ID is required')
+  body('playerId').isMongoId().withMessage('Valid player ID is required'),
+  body('jerseyNumber').optional().isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99'),
+  ...transactionValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -208,7 +508,7 @@ router.post('/:id/players', protect, authorize('admin', 'coach'), [
       });
     }
 
-    const { playerId } = req.body;
+    const { playerId, jerseyNumber, effectiveDate, notes } = req.body;
     const team = await Team.findById(req.params.id);
     
     if (!team) {
@@ -234,24 +534,17 @@ router.post('/:id/players', protect, authorize('admin', 'coach'), [
       });
     }
 
-    // Check if player is already on this team
-    if (team.players.includes(playerId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Player is already on this team'
-      });
-    }
-
-    // Update player's team
-    await Player.findByIdAndUpdate(playerId, { team: team._id });
-    
-    // Add player to team
-    await Team.findByIdAndUpdate(req.params.id, {
-      $addToSet: { players: playerId }
+    const transaction = await signPlayer({
+      team, player, jerseyNumber, effectiveDate, notes, recordedBy: req.user._id
     });
 
-    // Update user's team reference
-    await User.findByIdAndUpdate(player.user, { team: team._id });
+    await recordAudit({
+      ...fromRequest(req),
+      action: 'sign',
+      entity: 'Player',
+      before: player,
+      after: await Player.findById(playerId)
+    });
 
     const updatedTeam = await Team.findById(req.params.id)
       .populate('coach', 'name email')
@@ -259,9 +552,16 @@ router.post('/:id/players', protect, authorize('admin', 'coach'), [
 
     res.json({
       success: true,
-      data: updatedTeam
+      data: updatedTeam,
+      transaction
     });
   } catch (error) {
+    if (error.name === 'RosterError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Add player to team error:', error);
     res.status(500).json({
       success: false,
@@ -270,11 +570,20 @@ router.post('/:id/players', protect, authorize('admin', 'coach'), [
   }
 });
 
-// @desc    Remove player from team
+// @desc    Release player from team
 // @route   DELETE /api/teams/:id/players/:playerId
 // @access  Private (Admin/Coach - only team's coach)
-router.delete('/:id/players/:playerId', protect, authorize('admin', 'coach'), async (req, res) => {
+router.delete('/:id/players/:playerId', protect, authorize('admin', 'coach'), transactionValidators, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const team = await Team.findById(req.params.id);
     
     if (!team) {
@@ -300,16 +609,18 @@ router.delete('/:id/players/:playerId', protect, authorize('admin', 'coach'), as
       });
     }
 
-    // Remove player from team
-    await Team.findByIdAndUpdate(req.params.id, {
-      $pull: { players: req.params.playerId }
+    const { effectiveDate, notes } = req.body;
+    const transaction = await releasePlayer({
+      team, player, effectiveDate, notes, recordedBy: req.user._id
     });
 
-    // Update player's team to null
-    await Player.findByIdAndUpdate(req.params.playerId, { team: null });
-    
-    // Update user's team reference to null
-    await User.findByIdAndUpdate(player.user, { team: null });
+    await recordAudit({
+      ...fromRequest(req),
+      action: 'release',
+      entity: 'Player',
+      before: player,
+      after: await Player.findById(req.params.playerId)
+    });
 
     const updatedTeam = await Team.findById(req.params.id)
       .populate('coach', 'name email')
@@ -317,9 +628,16 @@ router.delete('/:id/players/:playerId', protect, authorize('admin', 'coach'), as
 
     res.json({
       success: true,
-      data: updatedTeam
+      data: updatedTeam,
+      transaction
     });
   } catch (error) {
+    if (error.name === 'RosterError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Remove player from team error:', error);
     res.status(500).json({
       success: false,
@@ -328,6 +646,490 @@ router.delete('/:id/players/:playerId', protect, authorize('admin', 'coach'), as
   }
 });
 
+// @desc    Get a team's invitations
+// @route   GET /api/teams/:id/invitations
+// @access  Private (Admin/Coach - only team's coach)
+router.get('/:id/invitations', protect, authorize('admin', 'coach'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is the team's coach or admin
+    if (req.user.role !== 'admin' && team.coach.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const { status } = req.query;
+    const query = { team: team._id };
+
+    // Expired invitations are pending ones past their expiry
+    if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Invite someone to join the team as a player
+// @route   POST /api/teams/:id/invitations
+// @access  Private (Admin/Coach - only team's coach)
+router.post('/:id/invitations', protect, authorize('admin', 'coach'), [
+  body('email').isEmail().withMessage('Please include a valid email'),
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('position').isIn(['PG', 'SG', 'SF', 'PF', 'C']).withMessage('Invalid position'),
+  body('jerseyNumber').isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is the team's coach or admin
+    if (req.user.role !== 'admin' && team.coach.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const { name, position, jerseyNumber } = req.body;
+
+    const alreadyInvited = await Invitation.exists({
+      team: team._id,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (alreadyInvited) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email already has a pending invitation to the team, revoke it to send a new one'
+      });
+    }
+
+    if (!(await jerseyAvailable(team._id, jerseyNumber))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Jersey number already taken in this team'
+      });
+    }
+
+    const invitation = new Invitation({
+      team: team._id,
+      email,
+      name,
+      position,
+      jerseyNumber,
+      invitedBy: req.user._id
+    });
+    const token = invitation.createToken();
+    await invitation.save();
+
+    // An invitation nobody was told about would hold the number and block a
+    // new invitation to the same email, so it goes if the email fails
+    try {
+      await sendInvitationEmail(invitation, token, team, req.user);
+    } catch (mailError) {
+      await Invitation.deleteOne({ _id: invitation._id });
+      console.error('Invitation email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Invitation email could not be sent, no invitation was created'
+      });
+    }
+
+    await recordAudit({ ...fromRequest(req), action: 'invite', entity: 'Invitation', after: invitation });
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/teams/:id/invitations/:invitationId
+// @access  Private (Admin/Coach - only team's coach)
+router.delete('/:id/invitations/:invitationId', protect, authorize('admin', 'coach'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is the team's coach or admin
+    if (req.user.role !== 'admin' && team.coach.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.invitationId, team: team._id });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    const before = invitation.toObject();
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await recordAudit({ ...fromRequest(req), action: 'revoke', entity: 'Invitation', before, after: invitation });
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Ask to join the team
+// @route   POST /api/teams/:id/join-requests
+// @access  Private (Player)
+router.post('/:id/join-requests', protect, authorize('player'), [
+  body('position').optional().isIn(['PG', 'SG', 'SF', 'PF', 'C']).withMessage('Invalid position'),
+  body('jerseyNumber').optional().isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99'),
+  body('height').optional().notEmpty().withMessage('Height cannot be empty'),
+  body('weight').optional().isInt({ min: 100, max: 400 }).withMessage('Weight must be between 100-400 lbs'),
+  body('age').optional().isInt({ min: 16, max: 50 }).withMessage('Age must be between 16-50'),
+  body('message').optional().isString().withMessage('Message must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const request = await requestToJoin(req.app.get('io'), { user: req.user, team, fields: req.body });
+
+    await recordAudit({ ...fromRequest(req), action: 'create', entity: 'JoinRequest', after: request });
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    if (error.name === 'JoinRequestError' || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get requests to join the team
+// @route   GET /api/teams/:id/join-requests
+// @access  Private (Admin/Coach - only team's coach)
+router.get('/:id/join-requests', protect, authorize('admin', 'coach'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is the team's coach or admin
+    if (req.user.role !== 'admin' && team.coach.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const query = { team: team._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await JoinRequest.find(query)
+      .populate('user', 'name email position')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve or reject a request to join the team
+// @route   PUT /api/teams/:id/join-requests/:requestId/approve
+// @route   PUT /api/teams/:id/join-requests/:requestId/reject
+// @access  Private (Admin/Coach - only team's coach)
+router.put('/:id/join-requests/:requestId/:decision(approve|reject)', protect, authorize('admin', 'coach'), [
+  body('jerseyNumber').optional().isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99'),
+  body('position').optional().isIn(['PG', 'SG', 'SF', 'PF', 'C']).withMessage('Invalid position'),
+  // Fill in profile details the request is missing
+  body('height').optional().notEmpty().withMessage('Height cannot be empty'),
+  body('weight').optional().isInt({ min: 100, max: 400 }).withMessage('Weight must be between 100-400 lbs'),
+  body('age').optional().isInt({ min: 16, max: 50 }).withMessage('Age must be between 16-50'),
+  body('reason')
+    .if((_value, { req }) => req.params.decision === 'reject')
+    .trim().notEmpty().withMessage('A reason is required to reject a request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Check if user is the team's coach or admin
+    if (req.user.role !== 'admin' && team.coach.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this team'
+      });
+    }
+
+    const request = await JoinRequest.findOne({ _id: req.params.requestId, team: team._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    const before = request.toObject();
+    const io = req.app.get('io');
+    let player;
+
+    if (req.params.decision === 'approve') {
+      const { jerseyNumber, position, height, weight, age } = req.body;
+      ({ player } = await approveJoinRequest(io, {
+        request, reviewer: req.user, jerseyNumber, position, profile: { height, weight, age }
+      }));
+    } else {
+      await rejectJoinRequest(io, { request, reviewer: req.user, reason: req.body.reason });
+    }
+
+    await recordAudit({
+      ...fromRequest(req), action: req.params.decision, entity: 'JoinRequest', before, after: request
+    });
+
+    res.json({
+      success: true,
+      data: request,
+      player
+    });
+  } catch (error) {
+    if (['JoinRequestError', 'RosterError', 'ValidationError'].includes(error.name)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Review join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Trade players between two teams
+// @route   POST /api/teams/trades
+// @access  Private (Admin)
+router.post('/trades', protect, authorize('admin'), [
+  body('fromTeam').isMongoId().withMessage('Valid team ID is required'),
+  body('toTeam').isMongoId().withMessage('Valid team ID is required'),
+  body('players').optional().isArray().withMessage('Players must be an array'),
+  body('players.*').isMongoId().withMessage('Players must be valid player IDs'),
+  body('returnPlayers').optional().isArray().withMessage('Return players must be an array'),
+  body('returnPlayers.*').isMongoId().withMessage('Return players must be valid player IDs'),
+  body('jerseyNumbers').optional().isObject().withMessage('Jersey numbers must map player IDs to numbers'),
+  body('jerseyNumbers.*').isInt({ min: 0, max: 99 }).withMessage('Jersey number must be between 0-99'),
+  ...transactionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { jerseyNumbers, effectiveDate, notes } = req.body;
+    const playerIds = req.body.players || [];
+    const returnIds = req.body.returnPlayers || [];
+
+    const [fromTeam, toTeam] = await Promise.all([
+      Team.findById(req.body.fromTeam),
+      Team.findById(req.body.toTeam)
+    ]);
+    if (!fromTeam || !toTeam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const found = await Player.find({ _id: { $in: [...playerIds, ...returnIds] } });
+    const byId = new Map(found.map((player) => [player._id.toString(), player]));
+    if ([...playerIds, ...returnIds].some((id) => !byId.has(String(id)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    const { trade, transactions } = await tradePlayers({
+      fromTeam,
+      toTeam,
+      players: playerIds.map((id) => byId.get(String(id))),
+      returnPlayers: returnIds.map((id) => byId.get(String(id))),
+      jerseyNumbers,
+      effectiveDate,
+      notes,
+      recordedBy: req.user._id
+    });
+
+    for (const player of found) {
+      await recordAudit({
+        ...fromRequest(req),
+        action: 'trade',
+        entity: 'Player',
+        before: player,
+        after: await Player.findById(player._id)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      trade,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    if (error.name === 'RosterError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Trade players error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Delete team
 // @route   DELETE /api/teams/:id
 // @access  Private (Admin/Coach - only team's coach)
@@ -350,11 +1152,11 @@ router.delete('/:id', protect, authorize('admin', 'coach'), async (req, res) =>
       });
     }
 
-    // Remove team from all players
-    await Player.updateMany(
-      { team: team._id },
-      { $unset: { team: 1 } }
-    );
+    // Everyone on the roster becomes a free agent
+    const roster = await Player.find({ team: team._id });
+    for (const player of roster) {
+      await releasePlayer({ team, player, notes: 'Team deleted', recordedBy: req.user._id });
+    }
 
     // Remove team from coach's managed teams
     await User.findByIdAndUpdate(team.coach, {
@@ -369,6 +1171,8 @@ router.delete('/:id', protect, authorize('admin', 'coach'), async (req, res) =>
 
     await Team.findByIdAndDelete(req.params.id);
 
+    await recordAudit({ ...fromRequest(req), action: 'delete', entity: 'Team', before: team });
+
     res.json({
       success: true,
       message: 'Team deleted successfully'
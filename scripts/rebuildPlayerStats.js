@@ -0,0 +1,26 @@
+// Recompute every player's stats from completed games.
+// Run after importing historical games: npm run rebuild-stats
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Player from '../models/Player.js';
+import { updatePlayerStats } from '../utils/playerStats.js';
+
+dotenv.config({ path: './config.env' });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/basketball';
+
+const rebuild = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  const players = await Player.find().select('_id');
+  await updatePlayerStats(...players.map((player) => player._id));
+
+  console.log(`Rebuilt stats for ${players.length} players`);
+};
+
+rebuild()
+  .catch((error) => {
+    console.error('Rebuild stats error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
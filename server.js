@@ -7,8 +7,17 @@ import playerRoutes from './routes/players.js';
 import http from "http"
 import gameRoutes from './routes/games.js';
 import teamRoutes from './routes/teams.js';
+import standingsRoutes from './routes/standings.js';
+import seasonRoutes from './routes/seasons.js';
+import auditRoutes from './routes/audit.js';
+import importRoutes from './routes/imports.js';
+import exportRoutes from './routes/exports.js';
+import calendarRoutes from './routes/calendar.js';
+import searchRoutes from './routes/search.js';
+import leaderRoutes from './routes/leaders.js';
 import  initGameSockets  from './sockets/gameSockets.js';
 import { protectSocket } from './middleware/socketAuth.js';
+import { initGameClock } from './utils/gameClock.js';
 import { Server } from 'socket.io';
 
 dotenv.config({ path: './config.env' });
@@ -25,6 +34,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/games', gameRoutes);
 app.use('/api/teams', teamRoutes);
+app.use('/api/standings', standingsRoutes);
+app.use('/api/seasons', seasonRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/leaders', leaderRoutes);
 
 // Basic route
 app.get('/', (_req, res) => {
@@ -41,6 +58,8 @@ const io = new Server(server, {
 })
 
 
+// Identify socket users; anonymous viewers are allowed but read-only
+io.use(protectSocket);
 initGameSockets(io);
 
 app.set("io",io)
@@ -52,6 +71,7 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/basket
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    initGameClock(io).catch((error) => console.error('Game clock init error:', error));
     server.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
@@ -1,46 +1,193 @@
 import Game from '../models/Game.js';
+import { authorizeGameSocket } from '../middleware/socketAuth.js';
+import { recordAudit, fromSocket } from '../utils/audit.js';
+import { recordGameEvent, broadcastGameEvent, recomputeGame } from '../utils/gameEvents.js';
+import { trackedTeams } from '../utils/lineups.js';
+import { foulState } from '../utils/fouls.js';
+import { timeoutState, callTimeout, broadcastTimeout } from '../utils/timeouts.js';
+import { syncGameResults } from '../utils/gameResults.js';
+import { applyScoreUpdate, inGameOrder } from '../utils/gameUpdates.js';
+import {
+  clockState,
+  startClock,
+  stopClock,
+  setClock,
+  advancePeriod,
+  releaseClock
+} from '../utils/gameClock.js';
+
+// Scorekeeper clock actions accepted by the clockControl event
+const clockActions = {
+  start: ({ gameId }) => startClock(gameId),
+  stop: ({ gameId }) => stopClock(gameId),
+  set: ({ gameId, seconds }) => setClock(gameId, seconds),
+  nextPeriod: ({ gameId }) => advancePeriod(gameId)
+};
 
 // sockets/gameSockets.js
 const initGameSockets = (io) => {
   io.on("connection", (socket) => {
     console.log(`⚡ New client connected: ${socket.id}`);
 
+    // Rooms used to disconnect the socket when its tokens are revoked
+    if (socket.user) {
+      socket.join(`user:${socket.user._id}`);
+      socket.join(`session:${socket.sessionId}`);
+    }
+
     // Join a specific game's room
-    socket.on("joinGame", (gameId) => {
+    socket.on("joinGame", async (gameId) => {
       socket.join(gameId);
       console.log(`Socket ${socket.id} joined room ${gameId}`);
+
+      // Late joiners get the clock, fouls and timeouts straight away instead of waiting for a tick
+      try {
+        const game = await Game.findById(gameId);
+        if (game) {
+          socket.emit("clockState", clockState(game));
+          socket.emit("foulState", foulState(game));
+          socket.emit("timeoutState", timeoutState(game));
+        }
+      } catch (err) {
+        console.error("Socket join error:", err);
+      }
     });
 
-    // Allow admins/coaches to push live updates
+    // Allow admins/coaches to push live updates. Absolute scores need the
+    // version the client last saw; homeDelta/awayDelta add to the current score.
     socket.on("updateGame", async (data) => {
         try {
-          const { gameId, homeScore, awayScore, status } = data;
+          const { gameId, homeScore, awayScore, homeDelta, awayDelta, status, version } = data;
+          if (!(await authorizeGameSocket(socket, gameId, "admin", "coach"))) return;
 
-          const updateFields = {};
-          if (homeScore !== undefined) updateFields.homeScore = homeScore;
-          if (awayScore !== undefined) updateFields.awayScore = awayScore;
-          if (status !== undefined) updateFields.status = status;
+          // Scores of games with a play-by-play log come from recordEvent
+          const existing = await Game.findById(gameId);
+          const changesScore = [homeScore, awayScore, homeDelta, awayDelta].some((value) => value !== undefined);
+          if (changesScore && existing && existing.eventSequence > 0) {
+            return socket.emit("errorMessage", "Score is derived from the play-by-play log");
+          }
 
-          const game = await Game.findByIdAndUpdate(
-            gameId,
-            updateFields,
-            { new: true, runValidators: true }
-          )
-            .populate("homeTeam", "name")
-            .populate("awayTeam", "name");
+          const game = await inGameOrder(gameId, async () => {
+            let updated = await applyScoreUpdate(gameId, { homeScore, awayScore, homeDelta, awayDelta, status, version });
+            if (!updated) return null;
+
+            // Minutes from tracked lineups run to the final buzzer once the game ends
+            if (existing && updated.status !== existing.status && trackedTeams(updated).size > 0) {
+              updated = await recomputeGame(updated._id);
+            }
+
+            await updated.populate([
+              { path: "homeTeam", select: "name" },
+              { path: "awayTeam", select: "name" }
+            ]);
+            // ✅ broadcast updated game to all viewers, in version order
+            io.to(gameId).emit("gameUpdated", updated);
+            return updated;
+          });
 
           if (!game) {
             return socket.emit("errorMessage", "Game not found");
           }
 
-          // ✅ broadcast updated game to all viewers
-          io.to(gameId).emit("gameUpdated", game);
-          console.log(`📡 Game ${gameId} updated by some bozo`);
+          await recordAudit({ ...fromSocket(socket), action: "update", entity: "Game", before: existing, after: game });
+
+          if (game.status !== "in_progress") await releaseClock(game._id);
+          await syncGameResults(game);
+
+          console.log(`📡 Game ${gameId} updated by ${socket.user.name}`);
         } catch (err) {
+          // The sender gets the current state to redo their change on
+          if (err.name === "StaleGameError") {
+            return socket.emit("updateRejected", { message: err.message, game: err.game });
+          }
+          if (err.name === "ScoreUpdateError" || err.name === "ValidationError") {
+            return socket.emit("errorMessage", err.message);
+          }
           console.error("Socket update error:", err);
           socket.emit("errorMessage", "Update failed");
         }
     });
+
+    // Record a play-by-play event; the room receives it along with the new score
+    socket.on("recordEvent", async (data) => {
+        try {
+          const { gameId, ...eventData } = data;
+          if (!(await authorizeGameSocket(socket, gameId, "admin", "coach"))) return;
+
+          const result = await inGameOrder(gameId, async () => {
+            const recorded = await recordGameEvent(gameId, eventData, socket.user._id);
+            if (recorded) await broadcastGameEvent(io, "recorded", recorded);
+            return recorded;
+          });
+          if (!result) {
+            return socket.emit("errorMessage", "Game not found");
+          }
+
+          await recordAudit({ ...fromSocket(socket), action: "record", entity: "GameEvent", after: result.event });
+        } catch (err) {
+          if (err.name === "ValidationError") {
+            return socket.emit("errorMessage", err.message);
+          }
+          console.error("Socket record event error:", err);
+          socket.emit("errorMessage", "Recording event failed");
+        }
+    });
+
+    // Start, stop or adjust the game clock; state is broadcast to the room
+    socket.on("clockControl", async (data) => {
+        try {
+          const action = clockActions[data?.action];
+          if (!action) {
+            return socket.emit("errorMessage", "Unknown clock action");
+          }
+          if (!(await authorizeGameSocket(socket, data.gameId, "admin", "coach"))) return;
+
+          const before = await Game.findById(data.gameId);
+          // In line with the game's other updates so versions reach the room in order
+          const game = await inGameOrder(data.gameId, () => action(data));
+
+          // Team fouls and the bonus start over each period, timeouts with each stretch of periods
+          if (data.action === "nextPeriod") {
+            io.to(game._id.toString()).emit("foulState", foulState(game));
+            io.to(game._id.toString()).emit("timeoutState", timeoutState(game));
+          }
+
+          await recordAudit({ ...fromSocket(socket), action: `clock_${data.action}`, entity: "Game", before, after: game });
+        } catch (err) {
+          if (err.name === "GameClockError") {
+            return socket.emit("errorMessage", err.message);
+          }
+          console.error("Socket clock error:", err);
+          socket.emit("errorMessage", "Clock update failed");
+        }
+    });
+
+    // Call a timeout for a team; the clock stops and the room is told how many are left
+    socket.on("callTimeout", async (data) => {
+        try {
+          const { gameId, team } = data || {};
+          if (!(await authorizeGameSocket(socket, gameId, "admin", "coach"))) return;
+
+          const before = await Game.findById(gameId);
+          const result = await inGameOrder(gameId, async () => {
+            const called = await callTimeout(gameId, team, socket.user._id);
+            if (called) await broadcastTimeout(io, called.game, called.timeout);
+            return called;
+          });
+          if (!result) {
+            return socket.emit("errorMessage", "Game not found");
+          }
+
+          await recordAudit({ ...fromSocket(socket), action: "call_timeout", entity: "Game", before, after: result.game });
+        } catch (err) {
+          if (err.name === "TimeoutError" || err.name === "GameClockError") {
+            return socket.emit("errorMessage", err.message);
+          }
+          console.error("Socket timeout error:", err);
+          socket.emit("errorMessage", "Calling timeout failed");
+        }
+    });
+
     // Handle disconnection
     socket.on("disconnect", () => {
       console.log(`❌ Client disconnected: ${socket.id}`);
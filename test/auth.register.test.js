@@ -0,0 +1,113 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Player from '../models/Player.js';
+import Invitation from '../models/Invitation.js';
+import JoinRequest from '../models/JoinRequest.js';
+import AuditLog from '../models/AuditLog.js';
+import authRoutes from '../routes/auth.js';
+
+// Anything the test does not mock fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const startServer = () => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0, () => resolve(server));
+});
+
+const register = (server, body) => fetch(`http://localhost:${server.address().port}/api/auth/register`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+afterEach(() => mock.restoreAll());
+
+test('register with an invitation that cannot be accepted keeps no account', async () => {
+  const team = { _id: new mongoose.Types.ObjectId(), name: 'Hawks' };
+  const invitation = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'new.player@example.com',
+    team,
+    jerseyNumber: 7,
+    position: 'PG'
+  };
+
+  // An in-memory users collection, so a retry sees what the first attempt left behind
+  const users = [];
+  mock.method(User, 'findOne', async ({ email }) => users.find((user) => user.email === email) || null);
+  mock.method(User, 'create', async (fields) => {
+    const user = { _id: new mongoose.Types.ObjectId(), ...fields };
+    users.push(user);
+    return user;
+  });
+  const deleteUser = mock.method(User, 'deleteOne', async ({ _id }) => {
+    users.splice(users.findIndex((user) => user._id.equals(_id)), 1);
+  });
+
+  mock.method(Invitation, 'findOne', () => ({ populate: async () => invitation }));
+  // The invited number was taken by a player signed since the invitation was sent
+  mock.method(Invitation, 'exists', async () => null);
+  mock.method(Player, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  mock.method(Player, 'findOne', async () => null);
+  mock.method(Player, 'find', () => ({ select: async () => [] }));
+  mock.method(JoinRequest, 'deleteMany', async () => ({}));
+  const audit = mock.method(AuditLog, 'create', async () => ({}));
+
+  const server = await startServer();
+  try {
+    const body = {
+      name: 'New Player',
+      email: invitation.email,
+      password: 'secret123',
+      inviteToken: 'token',
+      height: '6\'2"',
+      weight: 190,
+      age: 21
+    };
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const res = await register(server, body);
+      const json = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.equal(json.message, 'Jersey number already taken in this team');
+    }
+
+    assert.equal(deleteUser.mock.callCount(), 2);
+    assert.equal(users.length, 0);
+    assert.equal(audit.mock.callCount(), 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('register asking to join a team checks the profile details before creating the account', async () => {
+  const create = mock.method(User, 'create', async () => {
+    throw new Error('No account should be created');
+  });
+
+  const server = await startServer();
+  try {
+    const res = await register(server, {
+      name: 'New Player',
+      email: 'walk.on@example.com',
+      password: 'secret123',
+      team: new mongoose.Types.ObjectId().toString(),
+      height: '6\'1"',
+      weight: 20,
+      age: 19
+    });
+    const json = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(json.errors.map((error) => error.path), ['weight']);
+    assert.equal(create.mock.callCount(), 0);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveGameState } from '../utils/gameEvents.js';
+import { replayLineups } from '../utils/lineups.js';
+
+const HOME_STARTERS = ['h1', 'h2', 'h3', 'h4', 'h5'];
+const AWAY_STARTERS = ['a1', 'a2', 'a3', 'a4', 'a5'];
+
+// A finished four-period game; pass startingLineups to follow who is on the floor
+const makeGame = (fields = {}) => ({
+  homeTeam: 'home',
+  awayTeam: 'away',
+  status: 'completed',
+  quarter: 4,
+  regulationPeriods: 4,
+  periodLength: 720,
+  overtimeLength: 300,
+  foulLimit: 6,
+  gameStats: [],
+  ...fields
+});
+
+const withLineups = (fields = {}) => makeGame({
+  startingLineups: { home: HOME_STARTERS, away: AWAY_STARTERS },
+  ...fields
+});
+
+// Events get their sequence from their position in the list
+const log = (...events) => events.map((event, index) => ({ period: 1, sequence: index + 1, ...event }));
+
+const lineOf = (state, player) => state.gameStats.find((line) => line.player === player);
+
+test('shots add up to the score and the shooters\' lines', () => {
+  const state = deriveGameState(makeGame(), log(
+    { type: 'shot', team: 'home', player: 'h1', points: 2, made: true },
+    { type: 'shot', team: 'home', player: 'h1', points: 3, made: false },
+    { type: 'shot', team: 'away', player: 'a1', points: 1, made: true },
+    { type: 'shot', team: 'away', player: 'a1', points: 3, made: true }
+  ));
+
+  assert.equal(state.homeScore, 2);
+  assert.equal(state.awayScore, 4);
+  assert.equal(lineOf(state, 'h1').points, 2);
+  assert.equal(lineOf(state, 'h1').fieldGoalsMade, 1);
+  assert.equal(lineOf(state, 'h1').fieldGoalsAttempted, 2);
+  assert.equal(lineOf(state, 'h1').threePointersMade, 0);
+  assert.equal(lineOf(state, 'h1').threePointersAttempted, 1);
+  assert.equal(lineOf(state, 'a1').points, 4);
+  assert.equal(lineOf(state, 'a1').freeThrowsMade, 1);
+  assert.equal(lineOf(state, 'a1').freeThrowsAttempted, 1);
+  assert.equal(lineOf(state, 'a1').fieldGoalsAttempted, 1);
+});
+
+test('rebounds after a team\'s own miss are offensive unless the event says otherwise', () => {
+  const state = deriveGameState(makeGame(), log(
+    { type: 'shot', team: 'home', player: 'h1', points: 2, made: false },
+    { type: 'rebound', team: 'home', player: 'h2' },
+    { type: 'shot', team: 'home', player: 'h2', points: 2, made: false },
+    { type: 'rebound', team: 'away', player: 'a1' },
+    { type: 'shot', team: 'away', player: 'a1', points: 2, made: false },
+    { type: 'rebound', team: 'away', player: 'a2', offensive: false }
+  ));
+
+  assert.equal(lineOf(state, 'h2').offensiveRebounds, 1);
+  assert.equal(lineOf(state, 'h2').defensiveRebounds, 0);
+  assert.equal(lineOf(state, 'a1').defensiveRebounds, 1);
+  assert.equal(lineOf(state, 'a2').defensiveRebounds, 1);
+  assert.equal(lineOf(state, 'a2').rebounds, 1);
+});
+
+test('personal fouls count towards the team fouls of their period, technicals do not', () => {
+  const state = deriveGameState(makeGame(), log(
+    { type: 'foul', team: 'home', player: 'h1', foulType: 'personal' },
+    { type: 'foul', team: 'away', player: 'a1', foulType: 'shooting' },
+    { type: 'foul', team: 'home', player: 'h1', foulType: 'technical' },
+    { type: 'foul', team: 'home', player: 'h2', foulType: 'personal', period: 2 }
+  ));
+
+  assert.deepEqual(state.teamFouls, [
+    { period: 1, home: 1, away: 1 },
+    { period: 2, home: 1, away: 0 }
+  ]);
+  assert.equal(lineOf(state, 'h1').personalFouls, 1);
+  assert.equal(lineOf(state, 'h1').technicalFouls, 1);
+});
+
+test('voided events do not count and events are replayed in sequence order', () => {
+  const [miss, rebound, voided] = log(
+    { type: 'shot', team: 'home', player: 'h1', points: 2, made: false },
+    { type: 'rebound', team: 'home', player: 'h2' },
+    { type: 'shot', team: 'home', player: 'h1', points: 3, made: true, voided: true }
+  );
+  const state = deriveGameState(makeGame(), [voided, rebound, miss]);
+
+  assert.equal(state.homeScore, 0);
+  assert.equal(lineOf(state, 'h1').threePointersAttempted, 0);
+  assert.equal(lineOf(state, 'h2').offensiveRebounds, 1);
+});
+
+test('players of teams without a starting lineup keep their entered minutes', () => {
+  const game = makeGame({
+    gameStats: [{ player: 'h1', team: 'home', minutesPlayed: 30, plusMinus: 4, points: 10 }]
+  });
+  const state = deriveGameState(game, log(
+    { type: 'shot', team: 'home', player: 'h1', points: 2, made: true }
+  ));
+
+  assert.equal(lineOf(state, 'h1').minutesPlayed, 30);
+  assert.equal(lineOf(state, 'h1').plusMinus, 4);
+  // Counting stats come from the events alone
+  assert.equal(lineOf(state, 'h1').points, 2);
+});
+
+test('minutes and plus-minus follow the players on the floor', () => {
+  const state = deriveGameState(withLineups(), log(
+    { type: 'shot', team: 'home', player: 'h5', points: 2, made: true, secondsRemaining: 600 },
+    { type: 'substitution', team: 'home', player: 'h6', playerOut: 'h5', period: 2, secondsRemaining: 360 },
+    { type: 'shot', team: 'away', player: 'a1', points: 3, made: true, period: 3, secondsRemaining: 100 }
+  ));
+
+  assert.equal(lineOf(state, 'h1').minutesPlayed, 48);
+  assert.equal(lineOf(state, 'h5').minutesPlayed, 18);
+  assert.equal(lineOf(state, 'h6').minutesPlayed, 30);
+  assert.equal(lineOf(state, 'h1').plusMinus, -1);
+  assert.equal(lineOf(state, 'h5').plusMinus, 2);
+  assert.equal(lineOf(state, 'h6').plusMinus, -3);
+  assert.equal(lineOf(state, 'a1').plusMinus, 1);
+});
+
+test('replayLineups tracks the five on the floor and their units', () => {
+  const { onFloor, players, units, invalid } = replayLineups(withLineups(), log(
+    { type: 'substitution', team: 'home', player: 'h6', playerOut: 'h5', period: 3, secondsRemaining: 720 }
+  ));
+
+  assert.deepEqual(onFloor.home.sort(), ['h1', 'h2', 'h3', 'h4', 'h6']);
+  assert.deepEqual(onFloor.away.sort(), AWAY_STARTERS);
+  assert.equal(players.get('h5').seconds, 1440);
+  assert.equal(players.get('h6').seconds, 1440);
+  assert.deepEqual(units.home.map((unit) => unit.seconds), [1440, 1440]);
+  assert.deepEqual(invalid, []);
+});
+
+test('replayLineups leaves out substitutions that are not a swap with the bench', () => {
+  const events = log(
+    // h6 is not on the floor to go out
+    { type: 'substitution', team: 'home', player: 'h7', playerOut: 'h6', secondsRemaining: 500 },
+    // h2 is already on the floor
+    { type: 'substitution', team: 'home', player: 'h2', playerOut: 'h1', secondsRemaining: 400 },
+    { type: 'substitution', team: 'home', player: 'h6', playerOut: 'h1', secondsRemaining: 300 }
+  );
+  const { onFloor, invalid } = replayLineups(withLineups(), events);
+
+  assert.deepEqual(invalid.map((event) => event.sequence), [1, 2]);
+  assert.deepEqual(onFloor.home.sort(), ['h2', 'h3', 'h4', 'h5', 'h6']);
+});
+
+test('replayLineups counts overtime periods at their own length', () => {
+  const { players } = replayLineups(withLineups({ quarter: 5 }), []);
+
+  assert.equal(players.get('h1').seconds, 4 * 720 + 300);
+});
@@ -0,0 +1,169 @@
+import Game from '../models/Game.js';
+import { buildBoxScore, sumLines } from './boxScore.js';
+
+// Advanced metrics computed from box score counting stats, see "Advanced
+// Metrics" in the README for the formulas. A metric whose inputs are missing
+// or zero (no shots, no recorded minutes) is null rather than 0 or NaN.
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const ratio = (numerator, denominator, places = 3) => {
+  if (!(denominator > 0)) return null;
+  const factor = 10 ** places;
+  return Math.round((numerator / denominator) * factor) / factor;
+};
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Length of a game in minutes, counting the overtime periods played
+export const gameMinutes = (game) => {
+  const overtimes = Math.max(0, (game.quarter || 1) - game.regulationPeriods);
+  return (game.regulationPeriods * game.periodLength + overtimes * game.overtimeLength) / 60;
+};
+
+// Shooting possessions used: field goal attempts plus free throw trips
+const shootingAttempts = (line) => line.fieldGoalsAttempted + 0.44 * line.freeThrowsAttempted;
+
+// Possessions one team used, estimated from its box score
+const teamPossessions = (team) => shootingAttempts(team) - team.offensiveRebounds + team.turnovers;
+
+// Both teams have about the same number of possessions, so average their estimates
+export const possessions = (team, opponent) => (teamPossessions(team) + teamPossessions(opponent)) / 2;
+
+const efficiency = (line) => line.points + line.rebounds + line.assists + line.steals + line.blocks
+  - (line.fieldGoalsAttempted - line.fieldGoalsMade)
+  - (line.freeThrowsAttempted - line.freeThrowsMade)
+  - line.turnovers;
+
+const fourFactors = (team, opponent) => ({
+  effectiveFieldGoalPercentage: ratio(team.fieldGoalsMade + 0.5 * team.threePointersMade, team.fieldGoalsAttempted),
+  turnoverPercentage: ratio(team.turnovers, shootingAttempts(team) + team.turnovers),
+  offensiveReboundPercentage: ratio(team.offensiveRebounds, team.offensiveRebounds + opponent.defensiveRebounds),
+  freeThrowRate: ratio(team.freeThrowsMade, team.fieldGoalsAttempted)
+});
+
+/**
+ * A player's advanced metrics from their counting stats and their team's
+ * totals over the same games. games is the number of games the lines cover,
+ * minutes the combined length of those games.
+ */
+export const playerAdvanced = (line, team, minutes, games = 1) => ({
+  trueShootingPercentage: ratio(line.points, 2 * shootingAttempts(line)),
+  effectiveFieldGoalPercentage: ratio(line.fieldGoalsMade + 0.5 * line.threePointersMade, line.fieldGoalsAttempted),
+  // Share of the team's possessions used while on the floor; needs minutes played
+  usageRate: line.minutesPlayed > 0
+    ? ratio((shootingAttempts(line) + line.turnovers) * minutes, line.minutesPlayed * (shootingAttempts(team) + team.turnovers))
+    : null,
+  assistToTurnoverRatio: ratio(line.assists, line.turnovers, 2),
+  efficiency: games > 0 ? round(efficiency(line) / games) : null
+});
+
+/**
+ * A team's advanced metrics from its totals and its opponents' over the same
+ * games. minutes is the combined length of those games.
+ */
+export const teamAdvanced = (team, opponent, minutes, games = 1) => {
+  const used = possessions(team, opponent);
+  const offensiveRating = ratio(100 * team.points, used, 1);
+  const defensiveRating = ratio(100 * opponent.points, used, 1);
+
+  return {
+    possessions: games > 0 ? round(used / games) : null,
+    pace: ratio(48 * used, minutes, 1),
+    offensiveRating,
+    defensiveRating,
+    netRating: offensiveRating === null ? null : round(offensiveRating - defensiveRating),
+    fourFactors: {
+      offense: fourFactors(team, opponent),
+      defense: fourFactors(opponent, team)
+    }
+  };
+};
+
+// A built box score with advanced metrics on every player line and both team totals
+export const withAdvancedStats = (boxScore, game) => {
+  const minutes = gameMinutes(game);
+  const addTo = (side, opponent) => ({
+    ...side,
+    players: side.players.map((line) => ({
+      ...line,
+      advanced: playerAdvanced(line, side.totals, minutes)
+    })),
+    advanced: teamAdvanced(side.totals, opponent.totals, minutes)
+  });
+
+  return {
+    ...boxScore,
+    home: addTo(boxScore.home, boxScore.away),
+    away: addTo(boxScore.away, boxScore.home)
+  };
+};
+
+// The team side and opponent side of a game's box score for a team
+const sidesOf = (game, teamId) => {
+  const { home, away } = buildBoxScore(game);
+  return idOf(game.homeTeam) === teamId ? [home, away] : [away, home];
+};
+
+/**
+ * A player's advanced metrics over their completed games matching filter
+ * (e.g. a season or date range), with the counting stats they came from.
+ */
+export const playerAdvancedStats = async (playerId, filter = {}) => {
+  const id = idOf(playerId);
+  const games = await Game.find({ ...filter, status: 'completed', 'gameStats.player': id });
+
+  const lines = [];
+  const teams = [];
+  let minutes = 0;
+  games.forEach((game) => {
+    const line = game.gameStats.find((entry) => entry.player && idOf(entry.player) === id);
+    if (!line || !line.team) return;
+    const [team] = sidesOf(game, idOf(line.team));
+    lines.push(line.toObject());
+    teams.push(team.totals);
+    minutes += gameMinutes(game);
+  });
+
+  const totals = sumLines(lines);
+  return {
+    gamesPlayed: lines.length,
+    totals,
+    ...playerAdvanced(totals, sumLines(teams), minutes, lines.length)
+  };
+};
+
+/**
+ * A team's advanced metrics over its completed games matching filter, with
+ * its and its opponents' counting stats.
+ */
+export const teamAdvancedStats = async (teamId, filter = {}) => {
+  const id = idOf(teamId);
+  const games = await Game.find({
+    ...filter,
+    status: 'completed',
+    $or: [{ homeTeam: id }, { awayTeam: id }]
+  });
+
+  const teams = [];
+  const opponents = [];
+  let minutes = 0;
+  games.forEach((game) => {
+    const [team, opponent] = sidesOf(game, id);
+    teams.push(team.totals);
+    opponents.push(opponent.totals);
+    minutes += gameMinutes(game);
+  });
+
+  const totals = sumLines(teams);
+  const opponentTotals = sumLines(opponents);
+  return {
+    gamesPlayed: games.length,
+    totals,
+    opponentTotals,
+    ...teamAdvanced(totals, opponentTotals, minutes, games.length)
+  };
+};
@@ -0,0 +1,85 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Never copied into the audit log
+const SECRET_FIELDS = ['password', 'passwordResetToken', 'passwordResetExpires', 'tokenVersion', 'tokenHash', 'calendarToken'];
+// Bookkeeping that changes on every write and is not worth recording
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+const plain = (doc) => {
+  if (!doc) return {};
+  const data = doc.toObject ? doc.toObject({ depopulate: true }) : { ...doc };
+  [...SECRET_FIELDS, ...IGNORED_FIELDS].forEach((field) => delete data[field]);
+  return JSON.parse(JSON.stringify(data));
+};
+
+// JSON with object keys sorted, so key order does not count as a change
+const canonical = (value) => JSON.stringify(value, (_key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.keys(v).sort().reduce((sorted, key) => ({ ...sorted, [key]: v[key] }), {})
+    : v
+));
+
+// Top-level fields that differ between two versions of a document
+export const diffDocuments = (before, after) => {
+  const from = plain(before);
+  const to = plain(after);
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (canonical(from[field]) !== canonical(to[field])) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an entry to the audit log.
+ *
+ * actor          - the user making the change (req.user or socket.user)
+ * action         - e.g. 'create', 'update', 'delete', 'score'
+ * entity         - model name of the changed document
+ * before / after - the document before and after the change; leave one out
+ *                  for creates and deletes
+ * source         - 'rest', 'socket' or 'system'
+ *
+ * A failure to write the entry is logged rather than failing the change.
+ */
+export const recordAudit = async ({ actor, action, entity, entityId, before, after, source, ip }) => {
+  try {
+    const target = entityId || (after && after._id) || (before && before._id);
+    const changes = diffDocuments(before, after);
+
+    // Nothing actually changed
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    await AuditLog.create({
+      actor: actor ? actor._id : undefined,
+      actorName: actor ? actor.name : undefined,
+      actorRole: actor ? actor.role : undefined,
+      action,
+      entity,
+      entityId: target,
+      changes,
+      source,
+      ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Audit fields for a change made through an Express request
+export const fromRequest = (req) => ({
+  actor: req.user,
+  source: 'rest',
+  ip: req.ip
+});
+
+// Audit fields for a change made over a socket
+export const fromSocket = (socket) => ({
+  actor: socket.user,
+  source: 'socket',
+  ip: socket.handshake.address
+});
@@ -0,0 +1,100 @@
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Counting stats summed into team totals
+export const COUNTING_STATS = [
+  'points',
+  'fieldGoalsMade',
+  'fieldGoalsAttempted',
+  'threePointersMade',
+  'threePointersAttempted',
+  'freeThrowsMade',
+  'freeThrowsAttempted',
+  'offensiveRebounds',
+  'defensiveRebounds',
+  'rebounds',
+  'assists',
+  'steals',
+  'blocks',
+  'turnovers',
+  'personalFouls',
+  'minutesPlayed'
+];
+
+// Made / attempted as a fraction rounded to three places, null without attempts
+export const percentage = (made, attempted) => (
+  attempted > 0 ? Math.round((made / attempted) * 1000) / 1000 : null
+);
+
+export const shootingPercentages = (line) => ({
+  fieldGoalPercentage: percentage(line.fieldGoalsMade, line.fieldGoalsAttempted),
+  threePointPercentage: percentage(line.threePointersMade, line.threePointersAttempted),
+  freeThrowPercentage: percentage(line.freeThrowsMade, line.freeThrowsAttempted)
+});
+
+// Sum a set of player lines into one line
+export const sumLines = (lines) => {
+  const totals = {};
+  COUNTING_STATS.forEach((stat) => {
+    totals[stat] = lines.reduce((sum, line) => sum + (line[stat] || 0), 0);
+  });
+  return totals;
+};
+
+const teamBoxScore = (team, score, lines) => {
+  const totals = sumLines(lines);
+  return {
+    team,
+    score,
+    players: lines.map((line) => ({
+      ...line,
+      ...shootingPercentages(line)
+    })),
+    totals: {
+      ...totals,
+      ...shootingPercentages(totals)
+    },
+    validation: {
+      playerPoints: totals.points,
+      teamScore: score,
+      pointsMatch: totals.points === score
+    }
+  };
+};
+
+// Both teams' lines grouped by team, with totals and percentages.
+// Expects gameStats.player to be populated.
+export const buildBoxScore = (game) => {
+  const homeId = idOf(game.homeTeam).toString();
+  const awayId = idOf(game.awayTeam).toString();
+  const home = [];
+  const away = [];
+  const unassigned = [];
+
+  game.gameStats.forEach((entry) => {
+    const line = entry.toObject ? entry.toObject() : { ...entry };
+    const team = line.team || (line.player && line.player.team);
+    const teamId = team ? idOf(team).toString() : null;
+
+    if (teamId === homeId) home.push(line);
+    else if (teamId === awayId) away.push(line);
+    else unassigned.push(line);
+  });
+
+  const homeBox = teamBoxScore(game.homeTeam, game.homeScore, home);
+  const awayBox = teamBoxScore(game.awayTeam, game.awayScore, away);
+
+  return {
+    game: {
+      _id: game._id,
+      gameDate: game.gameDate,
+      status: game.status,
+      venue: game.venue,
+      period: game.quarter
+    },
+    home: homeBox,
+    away: awayBox,
+    // Lines whose player is on neither team, e.g. after a transfer with no team recorded
+    unassigned,
+    valid: homeBox.validation.pointsMatch && awayBox.validation.pointsMatch && unassigned.length === 0
+  };
+};
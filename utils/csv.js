@@ -0,0 +1,117 @@
+// Minimal RFC 4180 CSV reading and writing for imports and exports
+
+// Raised for CSV text that cannot be read, e.g. an unclosed quote
+export class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsvError';
+  }
+}
+
+// Split CSV text into rows of cells
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else cell += char;
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+    } else {
+      cell += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) throw new CsvError('Unclosed quote in CSV');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header.
+ *
+ * Cells are trimmed, empty cells are left out and blank lines are skipped.
+ * Each object's `row` is its record number in the file, counting the
+ * header as row 1.
+ */
+export const parseCsv = (text) => {
+  const rows = parseRows(String(text).replace(/^\uFEFF/, ''));
+  if (rows.length === 0) throw new CsvError('CSV is empty');
+
+  const headers = rows[0].map((header) => header.trim());
+  if (headers.some((header) => header === '')) throw new CsvError('CSV header has an empty column name');
+
+  return rows.slice(1)
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+    .map(({ cells, row }) => {
+      const record = { row };
+      headers.forEach((header, column) => {
+        const value = (cells[column] || '').trim();
+        if (value !== '') record[header] = value;
+      });
+      return record;
+    });
+};
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheets from running text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV.
+ *
+ * columns - [{ header, value }] where value is a field name or a function of the row
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.header))];
+  rows.forEach((row) => {
+    lines.push(columns.map(({ value }) => escapeCell(typeof value === 'function' ? value(row) : row[value])));
+  });
+  return `${lines.map((line) => line.join(',')).join('\r\n')}\r\n`;
+};
+
+// Send CSV as a file download
+export const sendCsv = (res, filename, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+};
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Game from '../models/Game.js';
+import Season from '../models/Season.js';
+import RosterTransaction from '../models/RosterTransaction.js';
+import { jerseyAvailable } from './roster.js';
+import { seasonForDate, seasonConflict } from './seasons.js';
+import { sendMail, appUrl } from './mailer.js';
+
+// Cap on rows per import so a preview stays quick
+export const MAX_IMPORT_ROWS = 1000;
+
+// Look documents up by ID or by case-insensitive name
+const lookup = (docs) => {
+  const byKey = new Map();
+  docs.forEach((doc) => {
+    byKey.set(doc._id.toString(), doc);
+    byKey.set(doc.name.toLowerCase(), doc);
+  });
+  return (value) => (value ? byKey.get(String(value).toLowerCase()) || null : null);
+};
+
+// Messages from the model's own validators
+const modelErrors = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map((item) => item.message) : [];
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Check player rows without writing anything.
+ *
+ * Columns: name, email, team (name or ID), position, jerseyNumber, height,
+ * weight, age. Emails without an account get a new player account.
+ *
+ * Returns [{ row, data, errors, newUser }]; data holds what would be created.
+ */
+export const previewPlayers = async (records) => {
+  const findTeam = lookup(await Team.find().select('name'));
+  const emails = records.map((record) => String(record.email || '').toLowerCase());
+  const users = await User.find({ email: { $in: emails } }).select('email role playerProfile name');
+  const userByEmail = new Map(users.map((user) => [user.email, user]));
+  const profiles = await Player.find({ user: { $in: users.map((user) => user._id) } }).select('user');
+  const hasProfile = new Set(profiles.map((profile) => profile.user.toString()));
+
+  const seenEmails = new Set();
+  const seenJerseys = new Set();
+  const results = [];
+
+  for (const record of records) {
+    const errors = [];
+    const email = String(record.email || '').toLowerCase();
+    const team = findTeam(record.team);
+    const user = userByEmail.get(email);
+
+    if (!email) errors.push('Email is required');
+    else if (seenEmails.has(email)) errors.push(`Email ${email} appears more than once in the file`);
+    seenEmails.add(email);
+
+    if (!record.team) errors.push('Team is required');
+    else if (!team) errors.push(`Unknown team '${record.team}'`);
+
+    if (user && user.role !== 'player') errors.push(`${email} is a ${user.role} account, not a player`);
+    if (user && hasProfile.has(user._id.toString())) errors.push(`${email} already has a player profile`);
+
+    const data = {
+      name: record.name || (user && user.name),
+      team: team ? team._id : undefined,
+      position: record.position ? record.position.toUpperCase() : undefined,
+      jerseyNumber: record.jerseyNumber,
+      height: record.height,
+      weight: record.weight,
+      age: record.age
+    };
+    // The user ID is filled in on commit for new accounts
+    const player = new Player({ ...data, user: user ? user._id : new mongoose.Types.ObjectId() });
+    errors.push(...modelErrors(player));
+
+    if (!user) {
+      errors.push(...modelErrors(new User({ name: data.name, email, password: 'placeholder' })));
+    }
+
+    if (team && player.jerseyNumber !== undefined && !Number.isNaN(player.jerseyNumber)) {
+      const key = `${team._id}:${player.jerseyNumber}`;
+      if (seenJerseys.has(key)) {
+        errors.push(`Jersey number ${player.jerseyNumber} is used twice for ${team.name} in the file`);
+      } else if (!(await jerseyAvailable(team._id, player.jerseyNumber))) {
+        errors.push(`Jersey number ${player.jerseyNumber} is already taken on ${team.name}`);
+      }
+      seenJerseys.add(key);
+    }
+
+    results.push({
+      row: record.row,
+      data: {
+        name: player.name,
+        email,
+        user: user ? user._id : undefined,
+        team: player.team,
+        position: player.position,
+        jerseyNumber: player.jerseyNumber,
+        height: player.height,
+        weight: player.weight,
+        age: player.age
+      },
+      errors: [...new Set(errors)],
+      newUser: !user
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Check game rows without writing anything.
+ *
+ * Columns: homeTeam, awayTeam (names or IDs), gameDate, venue and optionally
+ * season (name or ID; defaults to the season covering the date).
+ */
+export const previewGames = async (records) => {
+  const findTeam = lookup(await Team.find().select('name'));
+  const seasons = await Season.find();
+  const findSeason = lookup(seasons);
+
+  const seenGames = new Set();
+  const results = [];
+
+  for (const record of records) {
+    const errors = [];
+    const homeTeam = findTeam(record.homeTeam);
+    const awayTeam = findTeam(record.awayTeam);
+    const gameDate = record.gameDate ? parseDate(record.gameDate) : null;
+
+    if (!record.homeTeam) errors.push('Home team is required');
+    else if (!homeTeam) errors.push(`Unknown team '${record.homeTeam}'`);
+    if (!record.awayTeam) errors.push('Away team is required');
+    else if (!awayTeam) errors.push(`Unknown team '${record.awayTeam}'`);
+    if (homeTeam && awayTeam && homeTeam._id.equals(awayTeam._id)) errors.push('A team cannot play itself');
+
+    if (!record.gameDate) errors.push('Game date is required');
+    else if (!gameDate) errors.push(`Invalid date '${record.gameDate}'`);
+
+    let season = null;
+    if (record.season) {
+      season = findSeason(record.season);
+      if (!season) errors.push(`Unknown season '${record.season}'`);
+    } else if (gameDate && homeTeam && awayTeam) {
+      const covering = await seasonForDate(gameDate);
+      if (covering && !seasonConflict(covering, homeTeam._id, awayTeam._id)) season = covering;
+    }
+    if (season && homeTeam && awayTeam) {
+      const conflict = seasonConflict(season, homeTeam._id, awayTeam._id);
+      if (conflict) errors.push(conflict);
+    }
+
+    const game = new Game({
+      homeTeam: homeTeam ? homeTeam._id : undefined,
+      awayTeam: awayTeam ? awayTeam._id : undefined,
+      gameDate: gameDate || undefined,
+      venue: record.venue,
+      season: season ? season._id : undefined
+    });
+    errors.push(...modelErrors(game));
+
+    if (homeTeam && awayTeam && gameDate) {
+      const key = `${homeTeam._id}:${awayTeam._id}:${gameDate.getTime()}`;
+      if (seenGames.has(key)) {
+        errors.push('Game appears more than once in the file');
+      } else if (await Game.exists({ homeTeam: homeTeam._id, awayTeam: awayTeam._id, gameDate })) {
+        errors.push('Game is already scheduled');
+      }
+      seenGames.add(key);
+    }
+
+    results.push({
+      row: record.row,
+      data: {
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        gameDate: game.gameDate,
+        venue: game.venue,
+        season: game.season
+      },
+      errors: [...new Set(errors)]
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Create the players from a preview with no errors.
+ *
+ * New accounts are created first, then every player in one insert, then the
+ * user, team and roster history links. If a write fails the documents
+ * already created are deleted again and existing users get their team back. Welcome emails go out once everything
+ * is written; one that cannot be sent does not undo the import but is
+ * reported in mailErrors as { row, email, error }.
+ *
+ * Returns { players, newUsers, mailErrors }.
+ */
+export const commitPlayers = async (preview, recordedBy) => {
+  const newUsers = [];
+  // IDs chosen up front so a partly applied insert can be undone
+  const playerIds = preview.map(() => new mongoose.Types.ObjectId());
+  let players = [];
+  // Teams of existing users as they were before the import
+  const previousTeams = new Map();
+
+  try {
+    for (const { data } of preview.filter((row) => row.newUser)) {
+      newUsers.push(await User.create({
+        name: data.name,
+        email: data.email,
+        password: crypto.randomBytes(24).toString('hex'),
+        role: 'player'
+      }));
+    }
+    const userByEmail = new Map(newUsers.map((user) => [user.email, user]));
+
+    const existingIds = preview.map(({ data }) => data.user).filter(Boolean);
+    const existing = await User.find({ _id: { $in: existingIds } }).select('team');
+    existing.forEach((user) => previousTeams.set(user._id.toString(), user.team));
+
+    players = await Player.insertMany(preview.map(({ data }, index) => {
+      const { email, user, ...fields } = data;
+      return { ...fields, _id: playerIds[index], user: user || userByEmail.get(email)._id };
+    }));
+
+    await User.bulkWrite(players.map((player) => ({
+      updateOne: {
+        filter: { _id: player.user },
+        update: { team: player.team, playerProfile: player._id }
+      }
+    })));
+    await Team.bulkWrite(players.map((player) => ({
+      updateOne: {
+        filter: { _id: player.team },
+        update: { $addToSet: { players: player._id } }
+      }
+    })));
+    await RosterTransaction.insertMany(players.map((player) => ({
+      type: 'sign',
+      player: player._id,
+      toTeam: player.team,
+      jerseyNumber: player.jerseyNumber,
+      notes: 'CSV import',
+      recordedBy
+    })));
+  } catch (error) {
+    await RosterTransaction.deleteMany({ player: { $in: playerIds } });
+    await Team.updateMany({ players: { $in: playerIds } }, { $pull: { players: { $in: playerIds } } });
+    if (previousTeams.size > 0) {
+      await User.bulkWrite([...previousTeams].map(([user, team]) => ({
+        updateOne: {
+          filter: { _id: user, playerProfile: { $in: playerIds } },
+          update: team
+            ? { $set: { team }, $unset: { playerProfile: 1 } }
+            : { $unset: { team: 1, playerProfile: 1 } }
+        }
+      })));
+    }
+    await Player.deleteMany({ _id: { $in: playerIds } });
+    await User.deleteMany({ _id: { $in: newUsers.map((user) => user._id) } });
+    throw error;
+  }
+
+  // New account holders choose their own password
+  const rowByEmail = new Map(preview.map(({ row, data }) => [data.email, row]));
+  const mailErrors = [];
+  for (const user of newUsers) {
+    try {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendMail({
+        to: user.email,
+        subject: 'Your player account',
+        text: `Hi ${user.name},\n\nAn account has been created for you. Choose a password here:\n` +
+          `${appUrl('/reset-password', { token })}\n\nIf the link has expired, use "Forgot password" on the login page.`
+      });
+    } catch (error) {
+      console.error('Import welcome email error:', error);
+      mailErrors.push({ row: rowByEmail.get(user.email), email: user.email, error: error.message });
+    }
+  }
+
+  return { players, newUsers, mailErrors };
+};
+
+// Create the games from a preview with no errors in one insert, removing
+// any that were written if the insert fails part way
+export const commitGames = async (preview) => {
+  const games = preview.map(({ data }) => ({ ...data, _id: new mongoose.Types.ObjectId() }));
+  try {
+    return await Game.insertMany(games);
+  } catch (error) {
+    await Game.deleteMany({ _id: { $in: games.map((game) => game._id) } });
+    throw error;
+  }
+};
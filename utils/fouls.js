@@ -0,0 +1,41 @@
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Team fouls of both sides in a period
+export const teamFoulsIn = (game, period = game.quarter) => {
+  const entry = (game.teamFouls || []).find((fouls) => fouls.period === period);
+  return { home: entry ? entry.home : 0, away: entry ? entry.away : 0 };
+};
+
+export const hasFouledOut = (game, line) => line.personalFouls >= game.foulLimit;
+
+/**
+ * What scoreboards show about fouls: each team's fouls in the current period
+ * and whether it is in the bonus (the other team reached bonusFouls, so it
+ * shoots free throws on every foul), and every player with a foul.
+ */
+export const foulState = (game) => {
+  const fouls = teamFoulsIn(game);
+  const side = (own, other, team) => ({
+    team: idOf(team),
+    teamFouls: fouls[own],
+    inBonus: fouls[other] >= game.bonusFouls
+  });
+
+  return {
+    gameId: game._id.toString(),
+    period: game.quarter,
+    foulLimit: game.foulLimit,
+    bonusFouls: game.bonusFouls,
+    home: side('home', 'away', game.homeTeam),
+    away: side('away', 'home', game.awayTeam),
+    players: game.gameStats
+      .filter((line) => line.player && (line.personalFouls > 0 || line.technicalFouls > 0))
+      .map((line) => ({
+        player: idOf(line.player),
+        team: line.team ? idOf(line.team) : null,
+        personalFouls: line.personalFouls,
+        technicalFouls: line.technicalFouls || 0,
+        fouledOut: hasFouledOut(game, line)
+      }))
+  };
+};
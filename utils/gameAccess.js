@@ -0,0 +1,29 @@
+import Team from '../models/Team.js';
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Admins can score any game; coaches only games their team plays in
+// or games they have been assigned to as a scorekeeper
+export const canScoreGame = async (user, game) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (user.role !== 'coach') return false;
+
+  const userId = idOf(user);
+  if ((game.scorekeepers || []).some((scorer) => idOf(scorer) === userId)) return true;
+
+  const coached = await Team.exists({
+    _id: { $in: [idOf(game.homeTeam), idOf(game.awayTeam)] },
+    coach: userId
+  });
+  return Boolean(coached);
+};
+
+// Anyone can see a public team's schedule; private teams' only their coach,
+// their players and admins
+export const canViewTeam = (user, team) => {
+  if (!team || !team.isPrivate) return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return idOf(team.coach) === idOf(user) || (Boolean(user.team) && idOf(user.team) === idOf(team));
+};
@@ -0,0 +1,223 @@
+import Game from '../models/Game.js';
+import { inGameOrder } from './gameUpdates.js';
+
+// How often running clocks are broadcast to their game rooms
+const TICK_INTERVAL = 1000;
+
+// Interval timers for clocks running in this process, keyed by game id
+const timers = new Map();
+
+let clockIo = null;
+
+// Raised for clock operations that are not allowed in the game's current state
+export class GameClockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GameClockError';
+  }
+}
+
+export const formatClock = (seconds) => {
+  const whole = Math.ceil(seconds);
+  const remainder = whole % 60;
+  return `${Math.floor(whole / 60)}:${remainder < 10 ? '0' : ''}${remainder}`;
+};
+
+// Seconds left on the clock right now
+export const currentSeconds = (game, now = Date.now()) => {
+  const { secondsRemaining, running, startedAt } = game.clock;
+  if (!running || !startedAt) return secondsRemaining;
+  return Math.max(0, secondsRemaining - (now - startedAt.getTime()) / 1000);
+};
+
+export const lengthOfPeriod = (game, period = game.quarter) => (
+  period > game.regulationPeriods ? game.overtimeLength : game.periodLength
+);
+
+// What viewers are sent whenever the clock changes or ticks
+export const clockState = (game, now = Date.now()) => {
+  const seconds = currentSeconds(game, now);
+  return {
+    gameId: game._id.toString(),
+    period: game.quarter,
+    isOvertime: game.quarter > game.regulationPeriods,
+    overtimePeriod: Math.max(0, game.quarter - game.regulationPeriods),
+    secondsRemaining: Math.ceil(seconds),
+    timeRemaining: formatClock(seconds),
+    running: game.clock.running,
+    version: game.version
+  };
+};
+
+const broadcast = (event, game) => {
+  if (clockIo && game) clockIo.to(game._id.toString()).emit(event, clockState(game));
+};
+
+const clearTimer = (gameId) => {
+  const key = gameId.toString();
+  if (timers.has(key)) {
+    clearInterval(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+// Freeze the clock at the current time and persist it
+const freeze = (game, now = Date.now()) => {
+  const seconds = currentSeconds(game, now);
+  game.clock.secondsRemaining = seconds;
+  game.clock.running = false;
+  game.clock.startedAt = undefined;
+  game.timeRemaining = formatClock(seconds);
+};
+
+// Write the clock and period, bumping the version like every other change to the game's state
+const saveClock = (game) => {
+  const { secondsRemaining, running, startedAt } = game.clock;
+  return Game.findByIdAndUpdate(
+    game._id,
+    {
+      $set: {
+        'clock.secondsRemaining': secondsRemaining,
+        'clock.running': running,
+        'clock.startedAt': startedAt || null,
+        timeRemaining: game.timeRemaining,
+        quarter: game.quarter
+      },
+      $inc: { version: 1 }
+    },
+    { new: true }
+  );
+};
+
+const tick = async (gameId) => {
+  try {
+    const game = await Game.findById(gameId);
+    if (!game || !game.clock.running) {
+      clearTimer(gameId);
+      return;
+    }
+
+    if (currentSeconds(game) > 0) {
+      broadcast('clockTick', game);
+      return;
+    }
+
+    // Period is over, stop the clock and wait for the scorekeeper to advance.
+    // The write waits its turn behind other updates to the game and checks
+    // again, as the clock may have been stopped or set while it waited.
+    await inGameOrder(gameId, async () => {
+      const current = await Game.findById(gameId);
+      if (!current || !current.clock.running || currentSeconds(current) > 0) return;
+
+      clearTimer(gameId);
+      freeze(current);
+      broadcast('clockState', await saveClock(current));
+    });
+  } catch (error) {
+    console.error('Game clock tick error:', error);
+  }
+};
+
+const schedule = (gameId) => {
+  clearTimer(gameId);
+  timers.set(gameId.toString(), setInterval(() => tick(gameId), TICK_INTERVAL));
+};
+
+const findGame = async (gameId) => {
+  const game = await Game.findById(gameId);
+  if (!game) throw new GameClockError('Game not found');
+  return game;
+};
+
+export const startClock = async (gameId) => {
+  const game = await findGame(gameId);
+
+  if (game.status !== 'in_progress') {
+    throw new GameClockError('The clock can only run while the game is in progress');
+  }
+  if (game.clock.running) return game;
+  if (game.clock.secondsRemaining <= 0) {
+    throw new GameClockError('The period is over, advance to the next period');
+  }
+
+  game.clock.running = true;
+  game.clock.startedAt = new Date();
+  const saved = await saveClock(game);
+
+  schedule(game._id);
+  broadcast('clockState', saved);
+  return saved;
+};
+
+export const stopClock = async (gameId) => {
+  const game = await findGame(gameId);
+  if (!game.clock.running) return game;
+
+  clearTimer(game._id);
+  freeze(game);
+  const saved = await saveClock(game);
+
+  broadcast('clockState', saved);
+  return saved;
+};
+
+// Correct the time left in the current period
+export const setClock = async (gameId, seconds) => {
+  const game = await findGame(gameId);
+  const value = Number(seconds);
+
+  if (!Number.isFinite(value) || value < 0 || value > lengthOfPeriod(game)) {
+    throw new GameClockError(`Clock must be between 0 and ${lengthOfPeriod(game)} seconds`);
+  }
+
+  game.clock.secondsRemaining = value;
+  if (game.clock.running) game.clock.startedAt = new Date();
+  game.timeRemaining = formatClock(value);
+  const saved = await saveClock(game);
+
+  broadcast('clockState', saved);
+  return saved;
+};
+
+// Move to the next period, going to overtime when regulation ends tied
+export const advancePeriod = async (gameId) => {
+  const game = await findGame(gameId);
+
+  if (game.status !== 'in_progress') {
+    throw new GameClockError('Periods can only be advanced while the game is in progress');
+  }
+  if (game.clock.running) {
+    throw new GameClockError('Stop the clock before advancing the period');
+  }
+  if (game.clock.secondsRemaining > 0) {
+    throw new GameClockError('There is still time left in the period, set the clock to 0 to end it early');
+  }
+  if (game.quarter >= game.regulationPeriods && game.homeScore !== game.awayScore) {
+    throw new GameClockError('The game is not tied, no overtime period is needed');
+  }
+
+  game.quarter += 1;
+  game.clock.secondsRemaining = lengthOfPeriod(game);
+  game.timeRemaining = formatClock(game.clock.secondsRemaining);
+  const saved = await saveClock(game);
+
+  broadcast('clockState', saved);
+  return saved;
+};
+
+// Stop ticking for a game that was finished, cancelled or deleted
+export const releaseClock = async (gameId) => {
+  clearTimer(gameId);
+  const game = await Game.findById(gameId);
+  if (game && game.clock.running) {
+    freeze(game);
+    broadcast('clockState', await saveClock(game));
+  }
+};
+
+// Remember the socket server and resume clocks that were running before a restart
+export const initGameClock = async (io) => {
+  clockIo = io;
+  const running = await Game.find({ 'clock.running': true }).select('_id');
+  running.forEach((game) => schedule(game._id));
+};
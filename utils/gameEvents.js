@@ -0,0 +1,361 @@
+import mongoose from 'mongoose';
+import Game from '../models/Game.js';
+import GameEvent from '../models/GameEvent.js';
+import Player from '../models/Player.js';
+import { syncGameResults } from './gameResults.js';
+import { currentSeconds, formatClock } from './gameClock.js';
+import { trackedTeams, replayLineups } from './lineups.js';
+import { foulState, hasFouledOut } from './fouls.js';
+
+// Fields a client may set when recording or correcting an event
+const EVENT_FIELDS = [
+  'type', 'period', 'clock', 'team', 'player', 'playerOut', 'made', 'points', 'offensive', 'foulType'
+];
+
+const pickEventFields = (data) => {
+  const fields = {};
+  EVENT_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const blankLine = (player, team, existing) => ({
+  player,
+  team: existing && existing.team ? existing.team : team,
+  points: 0,
+  fieldGoalsMade: 0,
+  fieldGoalsAttempted: 0,
+  threePointersMade: 0,
+  threePointersAttempted: 0,
+  freeThrowsMade: 0,
+  freeThrowsAttempted: 0,
+  offensiveRebounds: 0,
+  defensiveRebounds: 0,
+  rebounds: 0,
+  assists: 0,
+  steals: 0,
+  blocks: 0,
+  turnovers: 0,
+  personalFouls: 0,
+  technicalFouls: 0,
+  // Plus-minus and minutes come from the lineups when the team's starters are
+  // set, otherwise keep what was entered
+  plusMinus: existing ? existing.plusMinus : 0,
+  minutesPlayed: existing ? existing.minutesPlayed : 0
+});
+
+// Count a shot attempt on a player's line
+const addShot = (line, { points, made }) => {
+  const hit = made ? 1 : 0;
+  if (points === 1) {
+    line.freeThrowsAttempted += 1;
+    line.freeThrowsMade += hit;
+  } else {
+    line.fieldGoalsAttempted += 1;
+    line.fieldGoalsMade += hit;
+    if (points === 3) {
+      line.threePointersAttempted += 1;
+      line.threePointersMade += hit;
+    }
+  }
+  if (made) line.points += points;
+};
+
+// Replay a game's events and return the score and box score they add up to
+export const deriveGameState = (game, events) => {
+  const homeTeam = idOf(game.homeTeam).toString();
+  const existing = new Map(
+    (game.gameStats || []).map((line) => [idOf(line.player).toString(), line])
+  );
+  const lines = new Map();
+  // Personal fouls per period, by side
+  const teamFouls = new Map();
+  let homeScore = 0;
+  let awayScore = 0;
+  // Team of the last missed shot, to tell offensive from defensive rebounds
+  let lastMissBy = null;
+
+  const lineFor = (player, team) => {
+    if (!player) return null;
+    const key = idOf(player).toString();
+    if (!lines.has(key)) lines.set(key, blankLine(idOf(player), idOf(team), existing.get(key)));
+    return lines.get(key);
+  };
+
+  // Players with entered minutes but no events keep their line
+  existing.forEach((line) => lineFor(line.player, line.team));
+
+  // Starters get a line even before they record a stat
+  const tracked = trackedTeams(game);
+  tracked.forEach((starters, team) => starters.forEach((player) => lineFor(player, team)));
+
+  events
+    .filter((event) => !event.voided)
+    .sort((a, b) => a.sequence - b.sequence)
+    .forEach((event) => {
+      const line = lineFor(event.player, event.team);
+      const team = event.team ? idOf(event.team).toString() : null;
+
+      switch (event.type) {
+        case 'shot':
+          if (event.made) {
+            if (team === homeTeam) homeScore += event.points;
+            else awayScore += event.points;
+            lastMissBy = null;
+          } else {
+            lastMissBy = team;
+          }
+          if (line) addShot(line, event);
+          break;
+        case 'rebound': {
+          const offensive = event.offensive !== undefined && event.offensive !== null
+            ? event.offensive
+            : lastMissBy === team;
+          lastMissBy = null;
+          if (!line) break;
+          if (offensive) line.offensiveRebounds += 1;
+          else line.defensiveRebounds += 1;
+          line.rebounds += 1;
+          break;
+        }
+        case 'assist':
+          if (line) line.assists += 1;
+          break;
+        case 'steal':
+          if (line) line.steals += 1;
+          break;
+        case 'block':
+          if (line) line.blocks += 1;
+          break;
+        case 'turnover':
+          if (line) line.turnovers += 1;
+          break;
+        case 'foul':
+          if (event.foulType === 'technical') {
+            if (line) line.technicalFouls += 1;
+            break;
+          }
+          if (line) line.personalFouls += 1;
+          if (!teamFouls.has(event.period)) teamFouls.set(event.period, { period: event.period, home: 0, away: 0 });
+          teamFouls.get(event.period)[team === homeTeam ? 'home' : 'away'] += 1;
+          break;
+        case 'substitution':
+          lineFor(event.playerOut, event.team);
+          break;
+        default:
+          break;
+      }
+    });
+
+  const { players: onFloor } = replayLineups(game, events);
+  lines.forEach((line) => {
+    if (!line.team || !tracked.has(idOf(line.team).toString())) return;
+    const time = onFloor.get(idOf(line.player).toString());
+    line.minutesPlayed = time ? Math.round(time.seconds / 6) / 10 : 0;
+    line.plusMinus = time ? time.plusMinus : 0;
+  });
+
+  return {
+    homeScore,
+    awayScore,
+    gameStats: Array.from(lines.values()),
+    teamFouls: Array.from(teamFouls.values()).sort((a, b) => a.period - b.period)
+  };
+};
+
+// Rebuild a game's score and gameStats from its event log
+export const recomputeGame = async (gameId) => {
+  const game = await Game.findById(gameId);
+  if (!game) return null;
+
+  const events = await GameEvent.find({ game: game._id }).sort({ sequence: 1 });
+  const { homeScore, awayScore, gameStats, teamFouls } = deriveGameState(game, events);
+
+  const updated = await Game.findByIdAndUpdate(
+    game._id,
+    { $set: { homeScore, awayScore, gameStats, teamFouls }, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return null;
+
+  // Corrections to a finished game change its result and box score
+  if (updated.status === 'completed') {
+    await syncGameResults(updated);
+  }
+
+  return updated;
+};
+
+const validationError = (path, message) => {
+  const error = new mongoose.Error.ValidationError();
+  error.addError(path, new mongoose.Error.ValidatorError({ path, message }));
+  return error;
+};
+
+// Make sure the event's team is playing and its players are on that team. A
+// player who already has a line for the team in this game counts as on it, so
+// events of players traded since can still be corrected.
+const checkParticipants = async (game, fields) => {
+  const teams = [game.homeTeam.toString(), game.awayTeam.toString()];
+  if (fields.team && !teams.includes(fields.team.toString())) {
+    throw validationError('team', 'Team is not playing in this game');
+  }
+
+  for (const path of ['player', 'playerOut']) {
+    if (!fields[path]) continue;
+    const player = await Player.findById(fields[path]).select('team');
+    if (!player) {
+      throw validationError(path, 'Player not found');
+    }
+    const playedFor = (game.gameStats || []).some((line) => line.player && line.team
+      && line.player.toString() === player._id.toString()
+      && line.team.toString() === String(fields.team));
+    if (!fields.team || (!playedFor && (!player.team || player.team.toString() !== fields.team.toString()))) {
+      throw validationError(path, 'Player is not on the team credited with this event');
+    }
+  }
+};
+
+// Personal fouls a player had been called for before an event in the log
+const foulsBefore = (events, player, sequence) => events.filter((event) => !event.voided
+  && event.sequence < sequence
+  && event.type === 'foul'
+  && event.foulType !== 'technical'
+  && event.player && event.player.toString() === player.toString()).length;
+
+// A corrected substitution cannot bring on a player who had fouled out by then
+const checkCorrectedSubstitution = async (game, event) => {
+  const events = await GameEvent.find({ game: game._id, voided: false });
+  if (hasFouledOut(game, { personalFouls: foulsBefore(events, event.player, event.sequence) })) {
+    throw validationError('player', 'The player coming in has fouled out');
+  }
+};
+
+// Players who fouled out cannot come back in. Substitutions for a team whose
+// lineup is tracked must swap a player on the floor for one on the bench.
+const checkSubstitution = async (game, event) => {
+  const incoming = game.gameStats.find((line) => line.player && line.player.toString() === event.player.toString());
+  if (incoming && hasFouledOut(game, incoming)) {
+    throw validationError('player', 'The player coming in has fouled out');
+  }
+
+  const team = event.team.toString();
+  if (!trackedTeams(game).has(team)) return;
+
+  const events = await GameEvent.find({ game: game._id, voided: false }).sort({ sequence: 1 });
+  const floor = replayLineups(game, events).onFloor[team];
+  if (!floor.includes(event.playerOut.toString())) {
+    throw validationError('playerOut', 'The player going out is not on the floor');
+  }
+  if (floor.includes(event.player.toString())) {
+    throw validationError('player', 'The player coming in is already on the floor');
+  }
+};
+
+// A correction or void must leave every substitution in the log a valid swap
+// for the teams whose lineup is tracked
+const checkLineupReplay = async (game, changed) => {
+  if (trackedTeams(game).size === 0) return;
+
+  const events = (await GameEvent.find({ game: game._id }))
+    .map((event) => (event._id.equals(changed._id) ? changed : event));
+  const [invalid] = replayLineups(game, events).invalid;
+  if (invalid) {
+    throw validationError(
+      'substitution',
+      `This change would leave substitution #${invalid.sequence} taking off a player who is not on the floor or bringing on one who is`
+    );
+  }
+};
+
+// Append an event to a game's log and refresh the derived score
+export const recordGameEvent = async (gameId, data, userId) => {
+  const current = await Game.findById(gameId);
+  if (!current) return null;
+
+  const fields = pickEventFields(data);
+  if (fields.period === undefined) fields.period = current.quarter;
+  // Events in the current period happen at the time on the game clock
+  if (!fields.clock && current.status === 'in_progress' && Number(fields.period) === current.quarter) {
+    fields.clock = formatClock(currentSeconds(current));
+  }
+
+  // Validate before claiming a sequence number so bad events leave no gap
+  const event = new GameEvent({ ...fields, game: current._id, sequence: 1, recordedBy: userId });
+  await event.validate();
+  await checkParticipants(current, event);
+  if (event.type === 'substitution') await checkSubstitution(current, event);
+
+  const { eventSequence } = await Game.findByIdAndUpdate(
+    gameId,
+    { $inc: { eventSequence: 1 } },
+    { new: true }
+  ).select('eventSequence');
+  event.sequence = eventSequence;
+  await event.save();
+
+  const game = await recomputeGame(gameId);
+  return { event, game };
+};
+
+// Correct a recorded event in place, keeping its position in the log
+export const correctGameEvent = async (gameId, eventId, data, userId) => {
+  const game = await Game.findById(gameId);
+  const event = await GameEvent.findOne({ _id: eventId, game: gameId });
+  if (!game || !event) return null;
+
+  const previous = event.toObject();
+  event.set(pickEventFields(data));
+  await event.validate();
+  await checkParticipants(game, event);
+  if (event.type === 'substitution') await checkCorrectedSubstitution(game, event);
+  await checkLineupReplay(game, event);
+  event.correctedBy = userId;
+  event.correctedAt = Date.now();
+  await event.save();
+
+  return { event, previous, game: await recomputeGame(gameId) };
+};
+
+// Void an event so it no longer counts towards the score
+export const voidGameEvent = async (gameId, eventId, userId) => {
+  const game = await Game.findById(gameId);
+  const event = await GameEvent.findOne({ _id: eventId, game: gameId });
+  if (!game || !event) return null;
+
+  const previous = event.toObject();
+  event.voided = true;
+  await checkLineupReplay(game, event);
+  event.correctedBy = userId;
+  event.correctedAt = Date.now();
+  await event.save();
+
+  return { event, previous, game: await recomputeGame(gameId) };
+};
+
+// Push a recorded, corrected or voided event and the resulting game to the game's room
+export const broadcastGameEvent = async (io, action, { event, game }) => {
+  if (!io) return;
+  const room = game._id.toString();
+  await game.populate([
+    { path: 'homeTeam', select: 'name' },
+    { path: 'awayTeam', select: 'name' }
+  ]);
+  io.to(room).emit('gameEvent', { action, event });
+  io.to(room).emit('gameUpdated', game);
+
+  // Corrections and voids can change fouls of any event type
+  if (event.type === 'foul' || action !== 'recorded') {
+    io.to(room).emit('foulState', foulState(game));
+  }
+  if (action === 'recorded' && event.type === 'foul' && event.foulType === 'personal') {
+    const line = game.gameStats.find((entry) => entry.player && entry.player.toString() === event.player.toString());
+    // Only the foul that reaches the limit announces it
+    if (line && hasFouledOut(game, line) && line.personalFouls === game.foulLimit) {
+      io.to(room).emit('fouledOut', { gameId: room, player: event.player, team: event.team });
+    }
+  }
+};
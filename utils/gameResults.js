@@ -0,0 +1,48 @@
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import { updateTeamRecords } from './standings.js';
+import { updatePlayerStats, playersInGames } from './playerStats.js';
+
+// Refresh everything derived from completed games for the teams and players
+// in the given games. Pass the game as it was before a change as well as after
+// it, so teams or players that dropped out of the game are recounted too.
+export const syncGameResults = async (...games) => {
+  const played = games.filter(Boolean);
+
+  await updateTeamRecords(...played.flatMap((game) => [game.homeTeam, game.awayTeam]));
+  await updatePlayerStats(...playersInGames(...played));
+};
+
+// Recount every team and player, e.g. after the current season changes
+export const rebuildAllStats = async () => {
+  const teams = await Team.find().select('_id');
+  const players = await Player.find().select('_id');
+
+  await updateTeamRecords(...teams.map((team) => team._id));
+  await updatePlayerStats(...players.map((player) => player._id));
+};
+
+let rebuilding = null;
+let rebuildAgain = false;
+
+// Run rebuildAllStats in the background. Calls made while a rebuild runs
+// are folded into one more rebuild after it.
+export const queueStatsRebuild = () => {
+  if (rebuilding) {
+    rebuildAgain = true;
+    return rebuilding;
+  }
+
+  rebuilding = (async () => {
+    do {
+      rebuildAgain = false;
+      try {
+        await rebuildAllStats();
+      } catch (error) {
+        console.error('Stats rebuild error:', error);
+      }
+    } while (rebuildAgain);
+    rebuilding = null;
+  })();
+  return rebuilding;
+};
@@ -0,0 +1,88 @@
+import Game from '../models/Game.js';
+
+// Raised when a write was based on an older version of the game
+export class StaleGameError extends Error {
+  constructor(game) {
+    super('Game was updated by someone else, refresh and try again');
+    this.name = 'StaleGameError';
+    this.game = game;
+  }
+}
+
+// Raised for score updates that do not make sense, e.g. mixing absolute and relative values
+export class ScoreUpdateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScoreUpdateError';
+  }
+}
+
+// Pending work per game id. Updates to one game run one at a time so the
+// room is sent states in the order their versions were assigned.
+const queues = new Map();
+
+export const inGameOrder = (gameId, task) => {
+  const key = gameId.toString();
+  const previous = queues.get(key) || Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) queues.delete(key);
+  });
+
+  return result;
+};
+
+/**
+ * Apply a score and/or status change as one atomic, versioned write.
+ *
+ * homeScore / awayScore - absolute scores, only accepted with the version
+ *                         the client last saw
+ * homeDelta / awayDelta - points to add (or remove), which compose with
+ *                         concurrent updates and need no version
+ * status                - new game status
+ * version               - version the change was based on, checked
+ *                         whenever it is sent
+ *
+ * Returns the updated game, null if the game does not exist, and throws
+ * StaleGameError with the current game when the version is out of date.
+ */
+export const applyScoreUpdate = async (gameId, { homeScore, awayScore, homeDelta, awayDelta, status, version }) => {
+  const has = (value) => value !== undefined && value !== null;
+
+  if ((has(homeScore) && has(homeDelta)) || (has(awayScore) && has(awayDelta))) {
+    throw new ScoreUpdateError('Send either a score or a score change for a team, not both');
+  }
+  if ((has(homeScore) || has(awayScore)) && !has(version)) {
+    throw new ScoreUpdateError('Version is required when setting the score, or send a score change instead');
+  }
+
+  const filter = { _id: gameId };
+  const $set = {};
+  const $inc = { version: 1 };
+
+  if (has(version)) filter.version = Number(version);
+  if (has(homeScore)) $set.homeScore = Number(homeScore);
+  if (has(awayScore)) $set.awayScore = Number(awayScore);
+  if (has(status)) $set.status = status;
+  if (has(homeDelta)) {
+    $inc.homeScore = Number(homeDelta);
+    // Never take a score below zero
+    if ($inc.homeScore < 0) filter.homeScore = { $gte: -$inc.homeScore };
+  }
+  if (has(awayDelta)) {
+    $inc.awayScore = Number(awayDelta);
+    if ($inc.awayScore < 0) filter.awayScore = { $gte: -$inc.awayScore };
+  }
+
+  const update = Object.keys($set).length > 0 ? { $set, $inc } : { $inc };
+  const game = await Game.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+  if (game) return game;
+
+  const current = await Game.findById(gameId);
+  if (!current) return null;
+  if (has(version) && current.version !== Number(version)) throw new StaleGameError(current);
+  throw new ScoreUpdateError('Score cannot go below zero');
+};
@@ -0,0 +1,117 @@
+import Game from '../models/Game.js';
+import Player from '../models/Player.js';
+import { summarizeLines } from './playerStats.js';
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Top performers listed per team
+const TOP_PERFORMERS = 5;
+
+// Record and scoring from the first team's side over some meetings
+const summarize = (meetings) => {
+  const wins = meetings.filter((meeting) => meeting.margin > 0).length;
+  const losses = meetings.filter((meeting) => meeting.margin < 0).length;
+  const average = (field) => (meetings.length > 0
+    ? round(meetings.reduce((sum, meeting) => sum + meeting[field], 0) / meetings.length)
+    : 0);
+
+  return {
+    games: meetings.length,
+    wins,
+    losses,
+    winPercentage: wins + losses > 0 ? round((wins / (wins + losses)) * 1000) / 1000 : 0,
+    pointsFor: average('pointsFor'),
+    pointsAgainst: average('pointsAgainst'),
+    margin: average('margin')
+  };
+};
+
+// Per player averages over the meetings, best scorers first
+const topPerformers = (lines, players) => Array.from(lines.entries())
+  .map(([id, playerLines]) => ({
+    player: players.get(id) || null,
+    ...summarizeLines(playerLines)
+  }))
+  .sort((a, b) => b.pointsPerGame - a.pointsPerGame || b.gamesPlayed - a.gamesPlayed)
+  .slice(0, TOP_PERFORMERS);
+
+/**
+ * Completed meetings between two teams, seen from the first team's side.
+ *
+ * Returns the series record, average score and margin overall and split by
+ * where the first team played, each team's top performers in the meetings,
+ * the next scheduled meeting and the meetings themselves, newest first.
+ * filter limits the meetings, e.g. to a season or date range.
+ */
+export const headToHead = async (team, opponent, filter = {}) => {
+  const teamId = idOf(team);
+  const opponentId = idOf(opponent);
+
+  const query = {
+    ...filter,
+    status: 'completed',
+    $or: [
+      { homeTeam: teamId, awayTeam: opponentId },
+      { homeTeam: opponentId, awayTeam: teamId }
+    ]
+  };
+
+  const [games, nextMeeting] = await Promise.all([
+    Game.find(query)
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .populate('season', 'name')
+      .sort({ gameDate: -1 }),
+    Game.findOne({
+      status: 'scheduled',
+      gameDate: { $gte: new Date() },
+      $or: query.$or
+    })
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .sort({ gameDate: 1 })
+  ]);
+
+  const meetings = games.map((game) => {
+    const home = idOf(game.homeTeam) === teamId;
+    const pointsFor = home ? game.homeScore : game.awayScore;
+    const pointsAgainst = home ? game.awayScore : game.homeScore;
+    return { home, pointsFor, pointsAgainst, margin: pointsFor - pointsAgainst };
+  });
+
+  // Box score lines grouped by side, then by player
+  const lines = { [teamId]: new Map(), [opponentId]: new Map() };
+  games.forEach((game) => {
+    game.gameStats.forEach((line) => {
+      if (!line.player || !line.team || !lines[idOf(line.team)]) return;
+      const byPlayer = lines[idOf(line.team)];
+      const id = idOf(line.player);
+      if (!byPlayer.has(id)) byPlayer.set(id, []);
+      byPlayer.get(id).push(line);
+    });
+  });
+
+  const playerIds = [...lines[teamId].keys(), ...lines[opponentId].keys()];
+  const players = new Map((await Player.find({ _id: { $in: playerIds } })
+    .select('name position jerseyNumber team'))
+    .map((player) => [player._id.toString(), player]));
+
+  return {
+    series: summarize(meetings),
+    home: summarize(meetings.filter((meeting) => meeting.home)),
+    away: summarize(meetings.filter((meeting) => !meeting.home)),
+    biggestWin: meetings.length > 0 ? Math.max(0, ...meetings.map((meeting) => meeting.margin)) : 0,
+    biggestLoss: meetings.length > 0 ? Math.max(0, ...meetings.map((meeting) => -meeting.margin)) : 0,
+    topPerformers: {
+      team: topPerformers(lines[teamId], players),
+      opponent: topPerformers(lines[opponentId], players)
+    },
+    nextMeeting,
+    games: games.map((game) => {
+      const { gameStats, ...rest } = game.toObject();
+      return rest;
+    })
+  };
+};
@@ -0,0 +1,116 @@
+// iCalendar (RFC 5545) feeds of game schedules
+
+// Games have no end time; calendars show them as this long
+const GAME_DURATION_MINUTES = Number(process.env.CALENDAR_GAME_MINUTES) || 120;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const nameOf = (team) => (team && team.name) || 'TBD';
+
+// Host part of event UIDs; must not change or calendars duplicate every game
+const uidDomain = () => {
+  if (process.env.CALENDAR_UID_DOMAIN) return process.env.CALENDAR_UID_DOMAIN;
+  try {
+    return new URL(process.env.APP_URL || 'http://localhost').hostname;
+  } catch (error) {
+    return 'localhost';
+  }
+};
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines are folded at 75 octets, continuing with a space
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Calendar event lines for one game.
+ *
+ * team - the team whose feed this is; the summary is written from its side
+ *        ("vs" at home, "@" away). League feeds leave it out.
+ *
+ * The UID is derived from the game ID and SEQUENCE from its version, so
+ * later changes replace the entry calendars already have.
+ */
+export const gameEvent = (game, { team, now = new Date() } = {}) => {
+  const teamId = team ? idOf(team).toString() : null;
+  const home = idOf(game.homeTeam).toString() === teamId;
+  const away = idOf(game.awayTeam).toString() === teamId;
+
+  let summary;
+  if (home) summary = `vs ${nameOf(game.awayTeam)}`;
+  else if (away) summary = `@ ${nameOf(game.homeTeam)}`;
+  else summary = `${nameOf(game.awayTeam)} @ ${nameOf(game.homeTeam)}`;
+
+  if (game.status === 'completed') {
+    // The feed's own team's score first
+    const score = home ? `${game.homeScore}-${game.awayScore}` : `${game.awayScore}-${game.homeScore}`;
+    summary += ` (${score} final)`;
+  } else if (game.status === 'cancelled') {
+    summary = `Cancelled: ${summary}`;
+  }
+
+  const description = [
+    `${nameOf(game.awayTeam)} at ${nameOf(game.homeTeam)}`,
+    home || away ? `${home ? 'Home' : 'Away'} game` : null,
+    game.season && game.season.name ? `Season: ${game.season.name}` : null,
+    `Status: ${game.status.replace('_', ' ')}`
+  ].filter(Boolean).join('\n');
+
+  const start = new Date(game.gameDate);
+  const end = new Date(start.getTime() + GAME_DURATION_MINUTES * 60 * 1000);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:game-${game._id}@${uidDomain()}`,
+    `SEQUENCE:${game.version || 0}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    game.venue ? `LOCATION:${escapeText(game.venue)}` : null,
+    `STATUS:${game.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A whole VCALENDAR document for a feed
+export const buildCalendar = ({ name, games, team, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Basketball MERN//Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed calendars to check for changes every few hours
+    'REFRESH-INTERVAL;VALUE=DURATION:PT4H',
+    'X-PUBLISHED-TTL:PT4H',
+    ...games.flatMap((game) => gameEvent(game, { team, now })),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
+
+export const sendCalendar = (res, filename, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(calendar);
+};
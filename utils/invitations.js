@@ -0,0 +1,91 @@
+import Invitation from '../models/Invitation.js';
+import Player from '../models/Player.js';
+import { createPlayer, signPlayer } from './roster.js';
+import { sendMail, appUrl } from './mailer.js';
+
+// Raised when an invitation cannot be accepted, e.g. it was sent to another email address
+export class InvitationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvitationError';
+  }
+}
+
+// Pending, unexpired invitation for a raw token, or null
+export const findInvitation = (token) => Invitation.findOne({
+  tokenHash: Invitation.hashToken(String(token)),
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+}).populate('team', 'name coach');
+
+export const sendInvitationEmail = async (invitation, token, team, inviter) => {
+  await sendMail({
+    to: invitation.email,
+    subject: `Join ${team.name}`,
+    text: `Hi${invitation.name ? ` ${invitation.name}` : ''},\n\n${inviter.name} has invited you to play for ${team.name} ` +
+      `as number ${invitation.jerseyNumber}.\n\nAccept the invitation here:\n${appUrl('/invitations/accept', { token })}\n\n` +
+      `The link expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+/**
+ * Accept an invitation for a user, putting them on the team.
+ *
+ * Users without a player profile get one created from the invitation and
+ * profile ({ height, weight, age }, optionally a different position).
+ * Users whose profile is a free agent are signed instead.
+ *
+ * Returns { player, transaction }.
+ */
+export const acceptInvitation = async ({ invitation, user, profile = {} }) => {
+  if (user.email !== invitation.email) {
+    throw new InvitationError('This invitation was sent to a different email address');
+  }
+  if (user.role !== 'player') {
+    throw new InvitationError('Only player accounts can accept an invitation');
+  }
+
+  const team = invitation.team;
+  const existing = await Player.findOne({ user: user._id });
+  let result;
+
+  if (existing) {
+    if (existing.team) {
+      throw new InvitationError('You are already on a team, ask to be released first');
+    }
+    const transaction = await signPlayer({
+      team,
+      player: existing,
+      jerseyNumber: invitation.jerseyNumber,
+      invitation,
+      notes: 'Accepted invitation',
+      recordedBy: user._id
+    });
+    result = { player: await Player.findById(existing._id), transaction };
+  } else {
+    const { height, weight, age, position } = profile;
+    result = await createPlayer({
+      team,
+      user,
+      data: {
+        name: user.name,
+        position: position || invitation.position,
+        jerseyNumber: invitation.jerseyNumber,
+        height,
+        weight,
+        age
+      },
+      invitation,
+      notes: 'Accepted invitation',
+      recordedBy: user._id
+    });
+  }
+
+  invitation.status = 'accepted';
+  invitation.acceptedBy = user._id;
+  invitation.acceptedAt = new Date();
+  invitation.player = result.player._id;
+  await invitation.save();
+
+  return result;
+};
@@ -0,0 +1,176 @@
+import JoinRequest from '../models/JoinRequest.js';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { createPlayer, signPlayer } from './roster.js';
+import { notifyUser } from './notifications.js';
+
+// Raised for join requests that cannot be made or reviewed
+export class JoinRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JoinRequestError';
+  }
+}
+
+const PROFILE_FIELDS = ['position', 'jerseyNumber', 'height', 'weight', 'age', 'message'];
+
+// Details a player profile cannot be created without
+const REQUIRED_DETAILS = ['height', 'weight', 'age'];
+
+const missingDetails = (details) => REQUIRED_DETAILS.filter(
+  (field) => details[field] === undefined || details[field] === null || details[field] === ''
+);
+
+/**
+ * Ask to join a team as a player. The team's coach is notified.
+ *
+ * fields - position, jerseyNumber, height, weight, age and message; height,
+ *          weight and age are required if the user has no player profile yet
+ *          as approval creates it from them
+ */
+export const requestToJoin = async (io, { user, team, fields = {} }) => {
+  if (user.role !== 'player') {
+    throw new JoinRequestError('Only player accounts can ask to join a team');
+  }
+
+  const player = await Player.findOne({ user: user._id });
+  if (player && player.team) {
+    throw new JoinRequestError(String(player.team) === String(team._id)
+      ? 'You are already on this team'
+      : 'You are already on a team, ask to be released first');
+  }
+  if (!player && missingDetails(fields).length > 0) {
+    throw new JoinRequestError(`Send your ${missingDetails(fields).join(', ')} to create your player profile`);
+  }
+
+  if (await JoinRequest.exists({ user: user._id, team: team._id, status: 'pending' })) {
+    throw new JoinRequestError('You already have a pending request to join this team');
+  }
+
+  const request = await JoinRequest.create({
+    user: user._id,
+    team: team._id,
+    ...Object.fromEntries(PROFILE_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, fields[field]]))
+  });
+
+  const coach = await User.findById(team.coach);
+  if (coach) {
+    await notifyUser(io, coach, {
+      type: 'join_request',
+      subject: `${user.name} wants to join ${team.name}`,
+      text: `${user.name} has asked to join ${team.name}.` +
+        `${request.message ? `\n\n"${request.message}"` : ''}\n\nReview the request in the team's join requests.`,
+      data: { joinRequest: request._id, team: team._id }
+    });
+  }
+
+  return request;
+};
+
+/**
+ * Approve a pending request, putting the player on the team.
+ *
+ * Users without a player profile get one from the request's details, with
+ * the coach's jerseyNumber / position / profile ({ height, weight, age })
+ * taking precedence. Free agents are signed. The user's other pending
+ * requests are cancelled.
+ */
+export const approveJoinRequest = async (io, { request, reviewer, jerseyNumber, position, profile = {} }) => {
+  if (request.status !== 'pending') {
+    throw new JoinRequestError(`Join request has already been ${request.status}`);
+  }
+
+  const [user, team] = await Promise.all([
+    User.findById(request.user),
+    Team.findById(request.team)
+  ]);
+  if (!user) throw new JoinRequestError('The requesting user no longer exists');
+  if (!team) throw new JoinRequestError('Team no longer exists');
+
+  const number = jerseyNumber !== undefined ? jerseyNumber : request.jerseyNumber;
+  const existing = await Player.findOne({ user: user._id });
+  let player;
+
+  if (existing) {
+    if (existing.team) throw new JoinRequestError('Player has joined another team');
+    await signPlayer({
+      team,
+      player: existing,
+      jerseyNumber: number,
+      notes: 'Join request approved',
+      recordedBy: reviewer._id
+    });
+    player = await Player.findById(existing._id);
+  } else {
+    if (number === undefined || number === null) {
+      throw new JoinRequestError('Choose a jersey number for the player');
+    }
+    const details = Object.fromEntries(REQUIRED_DETAILS.map(
+      (field) => [field, profile[field] !== undefined ? profile[field] : request[field]]
+    ));
+    if (missingDetails(details).length > 0) {
+      throw new JoinRequestError(`Add the player's ${missingDetails(details).join(', ')} to approve the request`);
+    }
+    ({ player } = await createPlayer({
+      team,
+      user,
+      data: {
+        name: user.name,
+        position: position || request.position || user.position,
+        jerseyNumber: number,
+        ...details
+      },
+      notes: 'Join request approved',
+      recordedBy: reviewer._id
+    }));
+  }
+
+  request.status = 'approved';
+  request.reviewedBy = reviewer._id;
+  request.reviewedAt = new Date();
+  request.player = player._id;
+  await request.save();
+
+  await JoinRequest.updateMany(
+    { user: user._id, status: 'pending', _id: { $ne: request._id } },
+    { status: 'cancelled' }
+  );
+
+  await notifyUser(io, user, {
+    type: 'join_request_approved',
+    subject: `Welcome to ${team.name}`,
+    text: `Your request to join ${team.name} was approved. You will wear number ${player.jerseyNumber}.`,
+    data: { joinRequest: request._id, team: team._id, player: player._id }
+  });
+
+  return { request, player };
+};
+
+// Reject a pending request, telling the player why
+export const rejectJoinRequest = async (io, { request, reviewer, reason }) => {
+  if (request.status !== 'pending') {
+    throw new JoinRequestError(`Join request has already been ${request.status}`);
+  }
+
+  request.status = 'rejected';
+  request.reason = reason;
+  request.reviewedBy = reviewer._id;
+  request.reviewedAt = new Date();
+  await request.save();
+
+  const [user, team] = await Promise.all([
+    User.findById(request.user),
+    Team.findById(request.team)
+  ]);
+  if (user && team) {
+    await notifyUser(io, user, {
+      type: 'join_request_rejected',
+      subject: `Your request to join ${team.name}`,
+      text: `Your request to join ${team.name} was not accepted.\n\nReason: ${reason}`,
+      data: { joinRequest: request._id, team: team._id, reason }
+    });
+  }
+
+  return request;
+};
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import Game from '../models/Game.js';
+import Team from '../models/Team.js';
+
+// Counting stats summed from box score lines
+const COUNTING = {
+  points: 'points',
+  rebounds: 'rebounds',
+  assists: 'assists',
+  steals: 'steals',
+  blocks: 'blocks',
+  turnovers: 'turnovers',
+  minutes: 'minutesPlayed'
+};
+
+// Shooting percentages, made over attempted; players need a minimum of attempts to qualify
+const SHOOTING = {
+  fieldGoalPercentage: { made: 'fieldGoalsMade', attempted: 'fieldGoalsAttempted' },
+  threePointPercentage: { made: 'threePointersMade', attempted: 'threePointersAttempted' },
+  freeThrowPercentage: { made: 'freeThrowsMade', attempted: 'freeThrowsAttempted' }
+};
+
+export const LEADER_CATEGORIES = [...Object.keys(COUNTING), ...Object.keys(SHOOTING)];
+
+export const LEADER_MODES = ['perGame', 'totals'];
+
+const SUMMED = [...new Set([
+  ...Object.values(COUNTING),
+  ...Object.values(SHOOTING).flatMap(({ made, attempted }) => [made, attempted])
+])];
+
+// Leaderboard value of a category for a grouped player
+const valueOf = (category, mode) => {
+  if (SHOOTING[category]) {
+    const { made, attempted } = SHOOTING[category];
+    return { $round: [{ $divide: [`$${made}`, `$${attempted}`] }, 3] };
+  }
+  const total = `$${COUNTING[category]}`;
+  return mode === 'totals' ? total : { $round: [{ $divide: [total, '$gamesPlayed'] }, 1] };
+};
+
+// Tied values share a rank: 1, 2, 2, 4
+const withRanks = (rows) => rows.map((row, i) => {
+  let rank = i + 1;
+  for (let j = i - 1; j >= 0 && rows[j].value === row.value; j -= 1) rank = j + 1;
+  return { rank, ...row };
+});
+
+/**
+ * League leaders per category, computed from completed games' box scores.
+ *
+ * mode        - 'perGame' averages or 'totals'; percentages are the same either way
+ * minGames    - games a player needs to appear in to qualify
+ * minAttempts - attempts of that shot a player needs for a shooting percentage
+ * teams       - only count games played for these teams
+ * position    - only players at this position
+ * filter      - only games matching it, e.g. a season or date range
+ *
+ * Returns { category: [{ rank, player, team, gamesPlayed, value, ... }] },
+ * best first, limit rows per category.
+ */
+export const leaders = async ({
+  categories = LEADER_CATEGORIES,
+  mode = 'perGame',
+  minGames = 1,
+  minAttempts = 10,
+  teams,
+  position,
+  filter = {},
+  limit = 10
+} = {}) => {
+  const gameMatch = { ...filter, status: 'completed' };
+
+  const lineMatch = { 'gameStats.player': { $ne: null } };
+  if (teams) lineMatch['gameStats.team'] = { $in: teams.map((id) => new mongoose.Types.ObjectId(id)) };
+
+  const playerMatch = position ? { 'player.position': position } : {};
+
+  const facets = Object.fromEntries(categories.map((category) => [category, [
+    ...(SHOOTING[category] ? [{ $match: { [SHOOTING[category].attempted]: { $gte: minAttempts } } }] : []),
+    { $addFields: { value: valueOf(category, mode) } },
+    { $sort: { value: -1, gamesPlayed: 1, 'player.name': 1 } },
+    { $limit: limit }
+  ]]));
+
+  const [result] = await Game.aggregate([
+    { $match: gameMatch },
+    // Oldest first so a player's last line names the team they play for now
+    { $sort: { gameDate: 1 } },
+    { $unwind: '$gameStats' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: '$gameStats.player',
+        gamesPlayed: { $sum: 1 },
+        team: { $last: '$gameStats.team' },
+        ...Object.fromEntries(SUMMED.map((field) => [field, { $sum: `$gameStats.${field}` }]))
+      }
+    },
+    { $match: { gamesPlayed: { $gte: minGames } } },
+    { $lookup: { from: 'players', localField: '_id', foreignField: '_id', as: 'player' } },
+    // Deleted players drop out of the leaderboards
+    { $unwind: '$player' },
+    {
+      $addFields: {
+        player: {
+          _id: '$player._id',
+          name: '$player.name',
+          position: '$player.position',
+          jerseyNumber: '$player.jerseyNumber'
+        }
+      }
+    },
+    { $match: playerMatch },
+    { $facet: facets }
+  ]);
+
+  const teamIds = [...new Set(Object.values(result).flat().map((row) => row.team && row.team.toString()).filter(Boolean))];
+  const teamNames = new Map((await Team.find({ _id: { $in: teamIds } }).select('name'))
+    .map((team) => [team._id.toString(), team]));
+
+  return Object.fromEntries(Object.entries(result).map(([category, rows]) => [category, withRanks(rows.map((row) => {
+    const { player, team, gamesPlayed, value } = row;
+    const entry = {
+      player,
+      team: (team && teamNames.get(team.toString())) || null,
+      gamesPlayed,
+      value
+    };
+    if (SHOOTING[category]) {
+      entry.made = row[SHOOTING[category].made];
+      entry.attempted = row[SHOOTING[category].attempted];
+    } else {
+      entry.total = row[COUNTING[category]];
+    }
+    return entry;
+  }))]));
+};
@@ -0,0 +1,275 @@
+import Game from '../models/Game.js';
+import GameEvent from '../models/GameEvent.js';
+import Player from '../models/Player.js';
+import { currentSeconds, lengthOfPeriod } from './gameClock.js';
+
+export const LINEUP_SIZE = 5;
+
+// Raised for starting lineups that cannot be set
+export class LineupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LineupError';
+  }
+}
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const SIDES = ['home', 'away'];
+
+const teamOf = (game, side) => idOf(side === 'home' ? game.homeTeam : game.awayTeam);
+
+// Team id -> starter ids, for the teams of a game whose starting lineup is set
+export const trackedTeams = (game) => {
+  const tracked = new Map();
+  SIDES.forEach((side) => {
+    const starters = (game.startingLineups && game.startingLineups[side]) || [];
+    if (starters.length > 0) tracked.set(teamOf(game, side), starters.map(idOf));
+  });
+  return tracked;
+};
+
+// Once play has started the starters are history
+export const hasTippedOff = (game) => {
+  if (game.status === 'scheduled') return false;
+  if (game.status !== 'in_progress') return true;
+  return game.eventSequence > 0
+    || game.quarter > 1
+    || game.clock.running
+    || game.clock.secondsRemaining < lengthOfPeriod(game, 1);
+};
+
+const unitKey = (players) => [...players].sort().join(',');
+
+/**
+ * Replays a game's events to follow who is on the floor for the teams with a
+ * starting lineup. An event's period and clock time move the game forward;
+ * everyone on the floor is credited with the time in between and with the
+ * points scored while they were on it. Events timed before a moment already
+ * reached add no time. Substitutions that do not take a player on the floor
+ * off for one on the bench are left out of the replay.
+ *
+ * Returns { onFloor, players, units, invalid }:
+ *   onFloor - team id -> ids of the players on the floor after the last event
+ *   players - player id -> { seconds, plusMinus }
+ *   units   - team id -> [{ players, seconds, pointsFor, pointsAgainst }] per five-man unit
+ *   invalid - the substitutions that were left out
+ */
+export const replayLineups = (game, events, now = Date.now()) => {
+  const tracked = trackedTeams(game);
+  const onFloor = new Map([...tracked].map(([team, starters]) => [team, new Set(starters)]));
+  const units = new Map([...tracked.keys()].map((team) => [team, new Map()]));
+  const players = new Map();
+  const invalid = [];
+  const homeTeam = idOf(game.homeTeam);
+  const awayTeam = idOf(game.awayTeam);
+
+  const playerEntry = (id) => {
+    if (!players.has(id)) players.set(id, { seconds: 0, plusMinus: 0 });
+    return players.get(id);
+  };
+  const unitEntry = (team) => {
+    const floor = onFloor.get(team);
+    const key = unitKey(floor);
+    const teamUnits = units.get(team);
+    if (!teamUnits.has(key)) {
+      teamUnits.set(key, { players: [...floor].sort(), seconds: 0, pointsFor: 0, pointsAgainst: 0 });
+    }
+    return teamUnits.get(key);
+  };
+
+  // Starters show up even before they play a second
+  tracked.forEach((starters) => starters.forEach(playerEntry));
+
+  let period = 1;
+  let secondsLeft = lengthOfPeriod(game, 1);
+
+  const credit = (seconds) => {
+    if (seconds <= 0) return;
+    onFloor.forEach((floor, team) => {
+      floor.forEach((id) => {
+        playerEntry(id).seconds += seconds;
+      });
+      unitEntry(team).seconds += seconds;
+    });
+  };
+
+  const advanceTo = (toPeriod, toSeconds) => {
+    while (period < toPeriod) {
+      credit(secondsLeft);
+      period += 1;
+      secondsLeft = lengthOfPeriod(game, period);
+    }
+    if (period === toPeriod && toSeconds < secondsLeft) {
+      credit(secondsLeft - toSeconds);
+      secondsLeft = toSeconds;
+    }
+  };
+
+  const score = (team, points) => {
+    const opponent = team === homeTeam ? awayTeam : homeTeam;
+    if (onFloor.has(team)) {
+      onFloor.get(team).forEach((id) => {
+        playerEntry(id).plusMinus += points;
+      });
+      unitEntry(team).pointsFor += points;
+    }
+    if (onFloor.has(opponent)) {
+      onFloor.get(opponent).forEach((id) => {
+        playerEntry(id).plusMinus -= points;
+      });
+      unitEntry(opponent).pointsAgainst += points;
+    }
+  };
+
+  if (tracked.size > 0) {
+    events
+      .filter((event) => !event.voided)
+      .sort((a, b) => a.sequence - b.sequence)
+      .forEach((event) => {
+        const seconds = event.secondsRemaining === undefined || event.secondsRemaining === null
+          ? lengthOfPeriod(game, event.period)
+          : event.secondsRemaining;
+        advanceTo(event.period, seconds);
+
+        const team = event.team ? idOf(event.team) : null;
+        if (event.type === 'shot' && event.made && team) {
+          score(team, event.points);
+        } else if (event.type === 'substitution' && onFloor.has(team)) {
+          const floor = onFloor.get(team);
+          const goingOut = idOf(event.playerOut);
+          const comingIn = idOf(event.player);
+          if (!floor.has(goingOut) || floor.has(comingIn)) {
+            invalid.push(event);
+            return;
+          }
+          floor.delete(goingOut);
+          floor.add(comingIn);
+          playerEntry(comingIn);
+        }
+      });
+
+    // Count up to the final buzzer, or to now while the game is on
+    if (game.status === 'completed') advanceTo(Math.max(game.quarter, period), 0);
+    else if (game.status === 'in_progress') advanceTo(game.quarter, currentSeconds(game, now));
+  }
+
+  return {
+    onFloor: Object.fromEntries([...onFloor].map(([team, floor]) => [team, [...floor]])),
+    players,
+    units: Object.fromEntries([...units].map(([team, teamUnits]) => [team, [...teamUnits.values()]])),
+    invalid
+  };
+};
+
+/**
+ * Sets a team's five starters for a game. Only before tip-off, and every
+ * starter must be on the team.
+ */
+export const setStartingLineup = async (gameId, teamId, playerIds) => {
+  const game = await Game.findById(gameId);
+  if (!game) return null;
+
+  const side = SIDES.find((candidate) => teamOf(game, candidate) === idOf(teamId));
+  if (!side) throw new LineupError('Team is not playing in this game');
+  if (hasTippedOff(game)) throw new LineupError('Starting lineups can only be set before tip-off');
+
+  const ids = [...new Set(playerIds.map(String))];
+  if (ids.length !== LINEUP_SIZE) {
+    throw new LineupError(`A starting lineup needs ${LINEUP_SIZE} different players`);
+  }
+  const onTeam = await Player.countDocuments({ _id: { $in: ids }, team: teamOf(game, side) });
+  if (onTeam !== LINEUP_SIZE) throw new LineupError('Every starter must be on the team');
+
+  return Game.findByIdAndUpdate(
+    game._id,
+    { $set: { [`startingLineups.${side}`]: ids }, $inc: { version: 1 } },
+    { new: true }
+  );
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Units with player names and minutes, most used first
+const describeUnits = (units, players) => units
+  .map(({ players: ids, seconds, pointsFor, pointsAgainst, games }) => ({
+    players: ids.map((id) => players.get(id) || id),
+    minutes: round(seconds / 60),
+    pointsFor,
+    pointsAgainst,
+    plusMinus: pointsFor - pointsAgainst,
+    ...(games === undefined ? {} : { games })
+  }))
+  .sort((a, b) => b.minutes - a.minutes);
+
+const playersById = async (ids) => new Map((await Player.find({ _id: { $in: [...new Set(ids)] } })
+  .select('name position jerseyNumber'))
+  .map((player) => [player._id.toString(), player]));
+
+/**
+ * A game's starters, who is on the floor now and how each five-man unit
+ * did, per side.
+ */
+export const gameLineups = async (game) => {
+  const events = await GameEvent.find({ game: game._id, voided: false }).sort({ sequence: 1 });
+  const { onFloor, units } = replayLineups(game, events);
+
+  const ids = [
+    ...SIDES.flatMap((side) => (game.startingLineups[side] || []).map(idOf)),
+    ...Object.values(onFloor).flat()
+  ];
+  const players = await playersById([...ids, ...Object.values(units).flat().flatMap((unit) => unit.players)]);
+  const named = (list) => list.map((id) => players.get(id) || id);
+
+  return Object.fromEntries(SIDES.map((side) => {
+    const team = teamOf(game, side);
+    return [side, {
+      team,
+      tracked: Boolean(onFloor[team]),
+      starters: named((game.startingLineups[side] || []).map(idOf)),
+      onFloor: named(onFloor[team] || []),
+      units: describeUnits(units[team] || [], players)
+    }];
+  }));
+};
+
+/**
+ * A team's five-man units over its completed games with a starting lineup
+ * that match filter (e.g. a season or date range), combined across games.
+ */
+export const teamLineupStats = async (teamId, filter = {}) => {
+  const id = idOf(teamId);
+  const games = (await Game.find({
+    ...filter,
+    status: 'completed',
+    $or: [{ homeTeam: id }, { awayTeam: id }]
+  })).filter((game) => trackedTeams(game).has(id));
+
+  const events = await GameEvent.find({ game: { $in: games.map((game) => game._id) }, voided: false })
+    .sort({ sequence: 1 });
+  const byGame = new Map(games.map((game) => [game._id.toString(), []]));
+  events.forEach((event) => byGame.get(event.game.toString()).push(event));
+
+  const combined = new Map();
+  games.forEach((game) => {
+    const { units } = replayLineups(game, byGame.get(game._id.toString()));
+    units[id].forEach((unit) => {
+      const key = unitKey(unit.players);
+      if (!combined.has(key)) {
+        combined.set(key, { players: unit.players, seconds: 0, pointsFor: 0, pointsAgainst: 0, games: 0 });
+      }
+      const total = combined.get(key);
+      total.seconds += unit.seconds;
+      total.pointsFor += unit.pointsFor;
+      total.pointsAgainst += unit.pointsAgainst;
+      total.games += 1;
+    });
+  });
+
+  const units = [...combined.values()];
+  const players = await playersById(units.flatMap((unit) => unit.players));
+  return {
+    gamesTracked: games.length,
+    units: describeUnits(units, players)
+  };
+};
@@ -0,0 +1,143 @@
+import { query } from 'express-validator';
+
+// Shared pagination, sorting, field selection and population for list endpoints.
+// Each router describes what callers may choose in a spec:
+//
+//   sort            - fields callers can sort by
+//   defaultSort     - sort used without ?sort=, e.g. '-createdAt'
+//   populate        - { path: 'fields to populate' } callers can ask for
+//   defaultPopulate - paths populated without ?populate=
+//   ranges          - { param: { path, op, type } } range filters, type 'int' or 'date'
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+const splitList = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+// "-gameDate,name" -> [['gameDate', -1], ['name', 1], ['_id', 1]]
+// _id breaks ties so cursors never skip or repeat documents
+const parseSort = (value) => {
+  const sort = splitList(value).map((key) => (key.startsWith('-') ? [key.slice(1), -1] : [key, 1]));
+  if (!sort.some(([key]) => key === '_id')) sort.push(['_id', 1]);
+  return sort;
+};
+
+const sortKey = (sort) => sort.map(([key, direction]) => `${direction < 0 ? '-' : ''}${key}`).join(',');
+
+// Cursors carry the sort they were made with and the last document's sort values
+const encodeCursor = (sort, doc) => Buffer.from(JSON.stringify({
+  sort: sortKey(sort),
+  values: sort.map(([key]) => doc.get(key))
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return decoded && typeof decoded.sort === 'string' && Array.isArray(decoded.values) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Documents whose key sorts after value. Null and missing values sort before
+// everything else, so nothing comes after them in descending order.
+const afterValue = (key, direction, value) => {
+  if (value === null || value === undefined) return direction < 0 ? null : { [key]: { $ne: null } };
+  if (direction < 0) return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+  return { [key]: { $gt: value } };
+};
+
+// Documents that sort after the cursor's values
+const afterCursor = (sort, values) => ({
+  $or: sort
+    .map(([key, direction], i) => {
+      const after = afterValue(key, direction, values[i]);
+      return after && {
+        ...Object.fromEntries(sort.slice(0, i).map(([previous], j) => [previous, values[j] === undefined ? null : values[j]])),
+        ...after
+      };
+    })
+    .filter(Boolean)
+});
+
+// express-validator checks for the list parameters a spec allows
+export const listValidators = (Model, spec) => [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1-${MAX_LIMIT}`),
+  query('sort').optional()
+    .custom((value) => parseSort(value).every(([key]) => key === '_id' || spec.sort.includes(key)))
+    .withMessage(`Sort must be made of: ${spec.sort.join(', ')}`),
+  query('fields').optional()
+    .custom((value) => splitList(value).every((field) => ['real', 'nested'].includes(Model.schema.pathType(field))))
+    .withMessage('Fields must be fields of the returned documents'),
+  query('populate').optional()
+    .custom((value) => splitList(value).every((path) => path in spec.populate))
+    .withMessage(`Populate must be made of: ${Object.keys(spec.populate).join(', ') || 'nothing'}`),
+  query('cursor').optional().custom((value, { req }) => {
+    const cursor = decodeCursor(value);
+    if (!cursor) throw new Error('Invalid cursor');
+    if (cursor.sort !== sortKey(parseSort(req.query.sort || spec.defaultSort))) {
+      throw new Error('Cursor was made with a different sort');
+    }
+    return true;
+  }),
+  ...Object.entries(spec.ranges || {}).map(([param, { type }]) => (type === 'date'
+    ? query(param).optional().isISO8601().withMessage(`${param} must be a valid date`)
+    : query(param).optional().isInt().withMessage(`${param} must be a whole number`)))
+];
+
+// Adds the spec's range filters present in params to filter
+export const applyRanges = (filter, params, spec) => {
+  Object.entries(spec.ranges || {}).forEach(([param, { path, op, type }]) => {
+    if (params[param] === undefined) return;
+    const value = type === 'date' ? new Date(params[param]) : Number(params[param]);
+    filter[path] = { ...filter[path], [op]: value };
+  });
+  return filter;
+};
+
+/**
+ * Runs a list query with the caller's paging, sort, fields and populate.
+ *
+ * ?page= pages through offsets; ?cursor= (the previous response's
+ * nextCursor) continues after the last document seen, which stays correct
+ * while documents are added and does not slow down on deep pages.
+ *
+ * Returns { data, meta }; meta is spread into the response next to data.
+ */
+export const paginate = async (Model, filter, params, spec) => {
+  const limit = Number(params.limit) || DEFAULT_LIMIT;
+  const sort = parseSort(params.sort || spec.defaultSort);
+  const populate = params.populate === undefined ? spec.defaultPopulate || [] : splitList(params.populate);
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  const page = cursor ? null : Number(params.page) || 1;
+
+  let find = Model.find(cursor ? { $and: [filter, afterCursor(sort, cursor.values)] } : filter)
+    .sort(Object.fromEntries(sort))
+    .limit(limit + 1);
+  if (!cursor) find = find.skip((page - 1) * limit);
+
+  if (params.fields) {
+    // Sort fields are needed for the next cursor, populated paths to populate
+    const fields = new Set([...splitList(params.fields), ...sort.map(([key]) => key), ...populate, ...(spec.select || [])]);
+    find = find.select([...fields].join(' '));
+  }
+  populate.forEach((path) => {
+    find = find.populate(path, spec.populate[path]);
+  });
+
+  const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+  const data = docs.slice(0, limit);
+
+  return {
+    data,
+    meta: {
+      count: data.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      nextCursor: docs.length > limit ? encodeCursor(sort, data[data.length - 1]) : null
+    }
+  };
+};
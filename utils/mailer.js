@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Built-in transports for local development. A transport is an async
+// function receiving { from, to, subject, text }.
+const transports = {
+  // Print messages to the server log
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  // Write each message to its own file in MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || 'tmp/mail';
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+    const body = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+    await fs.writeFile(path.join(dir, name), body);
+  }
+};
+
+let customTransport = null;
+
+// Plug in a real transport (SMTP, an email API...) in place of the built-in ones
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  // The built-in transports would leave reset and invitation links in logs and files
+  if (!customTransport && process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport set up, plug one in with setMailTransport');
+  }
+
+  const transport = customTransport || transports[process.env.MAIL_TRANSPORT || 'console'];
+  if (!transport) {
+    throw new Error(`Unknown mail transport ${process.env.MAIL_TRANSPORT}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@basketball.local',
+    to,
+    subject,
+    text
+  });
+};
+
+// Link into the frontend, e.g. appUrl('/reset-password', { token })
+export const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
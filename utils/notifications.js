@@ -0,0 +1,23 @@
+import { sendMail } from './mailer.js';
+
+/**
+ * Tell a user about something that happened to them, by email and, when
+ * they are connected, as a 'notification' event on their sockets.
+ *
+ * user - needs _id, name and email
+ * type - short machine-readable kind, e.g. 'join_request_approved'
+ * data - extra details for the socket event
+ *
+ * A failure to send is logged rather than failing the change.
+ */
+export const notifyUser = async (io, user, { type, subject, text, data = {} }) => {
+  if (io) {
+    io.to(`user:${user._id}`).emit('notification', { type, subject, text, data, createdAt: new Date() });
+  }
+
+  try {
+    await sendMail({ to: user.email, subject, text: `Hi ${user.name},\n\n${text}` });
+  } catch (error) {
+    console.error('Notification email error:', error);
+  }
+};
@@ -0,0 +1,84 @@
+import Game from '../models/Game.js';
+import Player from '../models/Player.js';
+import { getCurrentSeason } from './seasons.js';
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const STAT_FIELDS = {
+  points: 'pointsPerGame',
+  rebounds: 'reboundsPerGame',
+  assists: 'assistsPerGame',
+  steals: 'stealsPerGame',
+  blocks: 'blocksPerGame'
+};
+
+// Season totals and per-game averages from a player's box score lines
+export const summarizeLines = (lines) => {
+  const totals = { points: 0, rebounds: 0, assists: 0, steals: 0, blocks: 0, minutes: 0 };
+
+  lines.forEach((line) => {
+    Object.keys(STAT_FIELDS).forEach((field) => {
+      totals[field] += line[field] || 0;
+    });
+    totals.minutes += line.minutesPlayed || 0;
+  });
+
+  const gamesPlayed = lines.length;
+  const perGame = (total) => (gamesPlayed > 0 ? round(total / gamesPlayed) : 0);
+
+  const stats = {
+    gamesPlayed,
+    minutesPerGame: perGame(totals.minutes),
+    totals
+  };
+  Object.entries(STAT_FIELDS).forEach(([field, average]) => {
+    stats[average] = perGame(totals[field]);
+  });
+
+  return stats;
+};
+
+// Recompute stats for the given players from every completed game they appear in,
+// per season and for the current season (or all games without seasons)
+export const updatePlayerStats = async (...playerIds) => {
+  const ids = [...new Set(playerIds.filter(Boolean).map(idOf))];
+  if (ids.length === 0) return;
+
+  const current = await getCurrentSeason();
+
+  for (const id of ids) {
+    const games = await Game.find({ status: 'completed', 'gameStats.player': id })
+      .select('gameStats season');
+
+    const all = [];
+    const bySeason = new Map();
+    games.forEach((game) => {
+      const line = game.gameStats.find((entry) => entry.player && idOf(entry.player) === id);
+      if (!line) return;
+      all.push(line);
+      if (game.season) {
+        const key = game.season.toString();
+        if (!bySeason.has(key)) bySeason.set(key, []);
+        bySeason.get(key).push(line);
+      }
+    });
+
+    const seasonStats = Array.from(bySeason.entries()).map(([season, lines]) => ({
+      season,
+      ...summarizeLines(lines)
+    }));
+    const stats = current
+      ? summarizeLines(bySeason.get(current._id.toString()) || [])
+      : summarizeLines(all);
+
+    await Player.findByIdAndUpdate(id, { stats, seasonStats });
+  }
+};
+
+// Players with a box score line in any of the given games
+export const playersInGames = (...games) => games
+  .filter(Boolean)
+  .flatMap((game) => (game.gameStats || []).map((line) => line.player))
+  .filter(Boolean);
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import RosterTransaction from '../models/RosterTransaction.js';
+import Invitation from '../models/Invitation.js';
+
+// Raised for roster moves that are not allowed, e.g. signing a player who is on another team
+export class RosterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RosterError';
+  }
+}
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a._id || a) === String(b._id || b);
+
+const effectiveDateOf = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) throw new RosterError('Invalid effective date');
+  if (date > new Date()) throw new RosterError('Effective date cannot be in the future');
+  return date;
+};
+
+// Take a player off every team roster and clear the team on the player and their user
+const detachPlayer = async (player) => {
+  await Team.updateMany({ players: player._id }, { $pull: { players: player._id } });
+  await Player.findByIdAndUpdate(player._id, { $unset: { team: 1 } });
+  await User.findByIdAndUpdate(player.user, { $unset: { team: 1 } });
+};
+
+// Put a detached player on a team, keeping Player.team, User.team and Team.players in step
+const attachPlayer = async (player, teamId, jerseyNumber) => {
+  await Player.findByIdAndUpdate(player._id, { team: teamId, jerseyNumber }, { runValidators: true });
+  await Team.findByIdAndUpdate(teamId, { $addToSet: { players: player._id } });
+  await User.findByIdAndUpdate(player.user, { team: teamId });
+};
+
+// Put players back on the team and number they had before a move that failed
+// part way. Takes the players as loaded before the move.
+const restorePlayers = async (players) => {
+  for (const player of players) await detachPlayer(player);
+  for (const player of players) {
+    if (player.team) await attachPlayer(player, player.team._id || player.team, player.jerseyNumber);
+    else await Player.findByIdAndUpdate(player._id, { jerseyNumber: player.jerseyNumber });
+  }
+};
+
+/**
+ * Whether a jersey number is free on a team. Numbers are taken by players on
+ * the team and held by the team's pending, unexpired invitations.
+ *
+ * ignorePlayers    - players whose numbers do not count, e.g. ones being traded away
+ * ignoreInvitation - the invitation being accepted
+ */
+export const jerseyAvailable = async (teamId, jerseyNumber, { ignorePlayers = [], ignoreInvitation } = {}) => {
+  const [player, invitation] = await Promise.all([
+    Player.exists({ team: teamId, jerseyNumber, _id: { $nin: ignorePlayers } }),
+    Invitation.exists({
+      team: teamId,
+      jerseyNumber,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      ...(ignoreInvitation ? { _id: { $ne: ignoreInvitation } } : {})
+    })
+  ]);
+  return !player && !invitation;
+};
+
+// Jersey number a player will wear on a team, ignoring players who are leaving it
+const jerseyOnTeam = async (player, teamId, requested, leaving = [], invitation) => {
+  const jerseyNumber = requested !== undefined && requested !== null ? Number(requested) : player.jerseyNumber;
+  const available = await jerseyAvailable(teamId, jerseyNumber, {
+    ignorePlayers: [player._id, ...leaving],
+    ignoreInvitation: invitation && invitation._id
+  });
+  if (!available) {
+    throw new RosterError(`Jersey number ${jerseyNumber} is already taken on this team, choose another`);
+  }
+  return jerseyNumber;
+};
+
+/**
+ * Create a player profile for a user on a team, linking the user and the
+ * team roster and recording the signing.
+ *
+ * data       - the Player fields besides user and team
+ * invitation - the invitation the player accepted, whose jersey number
+ *              reservation is theirs
+ */
+export const createPlayer = async ({ team, user, data, invitation, notes, recordedBy }) => {
+  if (!(await jerseyAvailable(team._id, data.jerseyNumber, { ignoreInvitation: invitation && invitation._id }))) {
+    throw new RosterError('Jersey number already taken in this team');
+  }
+
+  const player = await Player.create({ ...data, user: user._id, team: team._id });
+
+  try {
+    await User.findByIdAndUpdate(user._id, {
+      team: team._id,
+      playerProfile: player._id
+    });
+    await Team.findByIdAndUpdate(team._id, {
+      $addToSet: { players: player._id }
+    });
+
+    const transaction = await RosterTransaction.create({
+      type: 'sign',
+      player: player._id,
+      toTeam: team._id,
+      jerseyNumber: player.jerseyNumber,
+      notes,
+      recordedBy
+    });
+
+    return { player, transaction };
+  } catch (error) {
+    await Team.updateMany({ players: player._id }, { $pull: { players: player._id } });
+    await User.updateOne({ _id: user._id, playerProfile: player._id }, { $unset: { team: 1, playerProfile: 1 } });
+    await Player.deleteOne({ _id: player._id });
+    throw error;
+  }
+};
+
+/**
+ * Sign a free agent to a team.
+ *
+ * Players on another team have to be released or traded first. Pass the
+ * invitation the player accepted to let them take its reserved number.
+ */
+export const signPlayer = async ({ team, player, jerseyNumber, invitation, effectiveDate, notes, recordedBy }) => {
+  if (sameId(player.team, team)) throw new RosterError('Player is already on this team');
+  if (player.team) throw new RosterError('Player is on another team, release or trade them first');
+
+  const date = effectiveDateOf(effectiveDate);
+  const number = await jerseyOnTeam(player, team._id, jerseyNumber, [], invitation);
+
+  try {
+    await detachPlayer(player);
+    await attachPlayer(player, team._id, number);
+
+    return await RosterTransaction.create({
+      type: 'sign',
+      player: player._id,
+      toTeam: team._id,
+      jerseyNumber: number,
+      effectiveDate: date,
+      notes,
+      recordedBy
+    });
+  } catch (error) {
+    await restorePlayers([player]);
+    throw error;
+  }
+};
+
+// Release a player from their team, making them a free agent
+export const releasePlayer = async ({ team, player, effectiveDate, notes, recordedBy }) => {
+  if (!sameId(player.team, team)) throw new RosterError('Player is not on this team');
+
+  const date = effectiveDateOf(effectiveDate);
+
+  try {
+    await detachPlayer(player);
+
+    return await RosterTransaction.create({
+      type: 'release',
+      player: player._id,
+      fromTeam: team._id,
+      jerseyNumber: player.jerseyNumber,
+      effectiveDate: date,
+      notes,
+      recordedBy
+    });
+  } catch (error) {
+    await restorePlayers([player]);
+    throw error;
+  }
+};
+
+/**
+ * Trade players between two teams.
+ *
+ * players        - players moving from fromTeam to toTeam
+ * returnPlayers  - players moving the other way, may be empty
+ * jerseyNumbers  - optional { playerId: number } for players who cannot keep
+ *                  their number on the new team
+ *
+ * Every player gets a transaction sharing one trade ID.
+ */
+export const tradePlayers = async ({
+  fromTeam, toTeam, players, returnPlayers = [], jerseyNumbers = {}, effectiveDate, notes, recordedBy
+}) => {
+  if (sameId(fromTeam, toTeam)) throw new RosterError('A trade needs two different teams');
+  if (players.length + returnPlayers.length === 0) throw new RosterError('A trade needs at least one player');
+
+  const wrongTeam = [
+    ...players.filter((player) => !sameId(player.team, fromTeam)),
+    ...returnPlayers.filter((player) => !sameId(player.team, toTeam))
+  ];
+  if (wrongTeam.length > 0) {
+    throw new RosterError(`${wrongTeam.map((player) => player.name).join(', ')} not on the team trading them`);
+  }
+
+  const date = effectiveDateOf(effectiveDate);
+  const moving = [...players, ...returnPlayers];
+  const leaving = moving.map((player) => player._id);
+
+  // Work out every jersey number before changing anything
+  const moves = [];
+  for (const [group, from, to] of [[players, fromTeam, toTeam], [returnPlayers, toTeam, fromTeam]]) {
+    const numbers = new Set();
+    for (const player of group) {
+      const number = await jerseyOnTeam(player, to._id, jerseyNumbers[player._id], leaving);
+      if (numbers.has(number)) {
+        throw new RosterError(`Two players would wear number ${number} on ${to.name}`);
+      }
+      numbers.add(number);
+      moves.push({ player, from, to, number });
+    }
+  }
+
+  const trade = new mongoose.Types.ObjectId();
+  try {
+    // Detach everyone first so swapped jersey numbers never clash
+    for (const { player } of moves) await detachPlayer(player);
+    for (const { player, to, number } of moves) await attachPlayer(player, to._id, number);
+
+    const transactions = await RosterTransaction.create(moves.map(({ player, from, to, number }) => ({
+      type: 'trade',
+      player: player._id,
+      fromTeam: from._id,
+      toTeam: to._id,
+      jerseyNumber: number,
+      trade,
+      effectiveDate: date,
+      notes,
+      recordedBy
+    })));
+
+    return { trade, transactions };
+  } catch (error) {
+    // Undo the half-made trade so both rosters are as they were
+    await RosterTransaction.deleteMany({ trade });
+    await restorePlayers(moving);
+    throw error;
+  }
+};
+
+// Roster history, newest first; pass { player } or { team }
+export const rosterHistory = ({ player, team }) => {
+  const query = player
+    ? { player }
+    : { $or: [{ fromTeam: team }, { toTeam: team }] };
+
+  return RosterTransaction.find(query)
+    .populate('player', 'name jerseyNumber position')
+    .populate('fromTeam', 'name')
+    .populate('toTeam', 'name')
+    .populate('recordedBy', 'name')
+    .sort({ effectiveDate: -1, createdAt: -1 });
+};
@@ -0,0 +1,161 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Whole days since the epoch, so dates can be compared by calendar day (UTC)
+export const dayIndex = (date) => Math.floor(new Date(date).getTime() / DAY);
+
+// Pairings for one round robin using the circle method. With an odd number of
+// teams the bye takes the fixed slot. Home sides are chosen so each team's home
+// and away games differ by at most one.
+export const roundRobinRounds = (teamIds) => {
+  const slots = teamIds.length % 2 === 1 ? [null, ...teamIds] : [...teamIds];
+
+  const count = slots.length;
+  const rounds = [];
+
+  for (let round = 0; round < count - 1; round += 1) {
+    const pairings = [];
+    for (let i = 0; i < count / 2; i += 1) {
+      const first = slots[i];
+      const second = slots[count - 1 - i];
+      if (first === null || second === null) continue;
+
+      // The fixed team alternates every round, the rest go by their position
+      const firstAtHome = i === 0 ? round % 2 === 0 : i % 2 === 1;
+      pairings.push(firstAtHome
+        ? { homeTeam: first, awayTeam: second }
+        : { homeTeam: second, awayTeam: first });
+    }
+    rounds.push(pairings);
+
+    // Keep the first team fixed and rotate the others one place
+    slots.splice(1, 0, slots.pop());
+  }
+
+  return rounds;
+};
+
+// Available (date, time) starts between two dates on the allowed weekdays.
+// Times are "HH:MM" in UTC.
+const gameSlots = ({ startDate, endDate, gameDays, gameTimes }) => {
+  const days = [];
+  const first = dayIndex(startDate);
+  const last = dayIndex(endDate);
+
+  for (let day = first; day <= last; day += 1) {
+    const date = new Date(day * DAY);
+    if (gameDays && gameDays.length > 0 && !gameDays.includes(date.getUTCDay())) continue;
+
+    days.push({
+      day,
+      times: gameTimes.map((time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(day * DAY + ((hours * 60) + minutes) * 60 * 1000);
+      })
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Build a balanced round-robin schedule.
+ *
+ * teams        - team documents (or { _id, homeVenue }) taking part
+ * meetings     - how many times each pair plays; home sides swap every meeting
+ * venues       - shared venues, one game per venue per start time. Without
+ *                venues every game is at the home team's homeVenue.
+ * minRestDays  - full days a team must have off between games
+ * busyDays     - Map of team id to day indexes the team already plays on
+ *
+ * Returns the games in date order and any matchups that did not fit.
+ */
+export const generateSchedule = ({
+  teams,
+  startDate,
+  endDate,
+  gameDays = [],
+  gameTimes = ['19:00'],
+  meetings = 1,
+  venues = [],
+  minRestDays = 1,
+  busyDays = new Map()
+}) => {
+  const teamIds = teams.map(idOf);
+  const homeVenues = new Map(teams.map((team) => [idOf(team), team.homeVenue]));
+  const cycle = roundRobinRounds(teamIds);
+
+  // Every meeting after the first swaps home and away
+  const rounds = [];
+  for (let meeting = 0; meeting < meetings; meeting += 1) {
+    cycle.forEach((pairings) => {
+      rounds.push(pairings.map(({ homeTeam, awayTeam }) => (
+        meeting % 2 === 0 ? { homeTeam, awayTeam } : { homeTeam: awayTeam, awayTeam: homeTeam }
+      )));
+    });
+  }
+
+  const days = gameSlots({ startDate, endDate, gameDays, gameTimes });
+  const teamDays = new Map(teamIds.map((id) => [id, [...(busyDays.get(id) || [])]]));
+  // Shared venue start times already taken, keyed by "time|venue"
+  const taken = new Set();
+
+  const rested = (id, day) => teamDays.get(id).every((other) => Math.abs(other - day) > minRestDays);
+
+  const games = [];
+  const unscheduled = [];
+
+  rounds.forEach((pairings, round) => {
+    pairings.forEach((pairing) => {
+      let placed = null;
+
+      for (const { day, times } of days) {
+        if (!rested(pairing.homeTeam, day) || !rested(pairing.awayTeam, day)) continue;
+
+        for (const time of times) {
+          let venue = homeVenues.get(pairing.homeTeam);
+          if (venues.length > 0) {
+            venue = venues.find((name) => !taken.has(`${time.getTime()}|${name}`));
+            if (venue === undefined) continue;
+          }
+
+          placed = { day, time, venue };
+          break;
+        }
+        if (placed) break;
+      }
+
+      if (!placed) {
+        unscheduled.push({ ...pairing, round: round + 1 });
+        return;
+      }
+
+      if (venues.length > 0) taken.add(`${placed.time.getTime()}|${placed.venue}`);
+      teamDays.get(pairing.homeTeam).push(placed.day);
+      teamDays.get(pairing.awayTeam).push(placed.day);
+
+      games.push({
+        ...pairing,
+        gameDate: placed.time,
+        venue: placed.venue,
+        round: round + 1
+      });
+    });
+  });
+
+  games.sort((a, b) => a.gameDate - b.gameDate);
+  return { games, unscheduled };
+};
+
+// Home and away game counts per team, to show how balanced a schedule is
+export const homeAwayBalance = (games) => {
+  const balance = {};
+  games.forEach(({ homeTeam, awayTeam }) => {
+    balance[homeTeam] = balance[homeTeam] || { home: 0, away: 0 };
+    balance[awayTeam] = balance[awayTeam] || { home: 0, away: 0 };
+    balance[homeTeam].home += 1;
+    balance[awayTeam].away += 1;
+  });
+  return balance;
+};
@@ -0,0 +1,252 @@
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import Game from '../models/Game.js';
+import User from '../models/User.js';
+
+export const SEARCH_TYPES = ['player', 'team', 'game'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Words that describe what is being looked for rather than naming anything
+const FILLER = ['game', 'games', 'match', 'vs', 'v', 'versus', 'at', 'on', 'the', 'against', '@'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Any word starting with the term, so "jor" finds "Michael Jordan"
+const wordPrefix = (term) => new RegExp(`(^|\\s)${escapeRegex(term)}`, 'i');
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// Team IDs for a games `team` filter given either an ID or (part of) a name
+export const findTeamIds = async (value) => {
+  if (OBJECT_ID.test(value)) return [value];
+  return Team.find({ name: wordPrefix(String(value).trim()) }).distinct('_id');
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Pulls a day out of a search like "hawks game next tuesday".
+ *
+ * Understands YYYY-MM-DD, today, tomorrow, yesterday and weekdays: a bare
+ * (or "this") weekday is its next occurrence counting today, "next" the one
+ * after today and "last" the most recent before today. Returns the day's
+ * { from, to } window in server time, or null, and the text without it.
+ */
+export const parseDay = (text, now = new Date()) => {
+  const today = startOfDay(now);
+  const offsetDay = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+  let day = null;
+
+  let rest = text.replace(/\b(\d{4})-(\d{2})-(\d{2})\b/, (_match, year, month, date) => {
+    day = new Date(Number(year), Number(month) - 1, Number(date));
+    return ' ';
+  });
+
+  if (!day) {
+    rest = rest.replace(/\b(today|tomorrow|yesterday)\b/i, (_match, word) => {
+      day = offsetDay({ today: 0, tomorrow: 1, yesterday: -1 }[word.toLowerCase()]);
+      return ' ';
+    });
+  }
+
+  if (!day) {
+    const weekdayPattern = new RegExp(`\\b(?:(next|last|this)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i');
+    rest = rest.replace(weekdayPattern, (_match, modifier, weekday) => {
+      const ahead = (WEEKDAYS.indexOf(weekday.toLowerCase()) - today.getDay() + 7) % 7;
+      const which = (modifier || 'this').toLowerCase();
+      if (which === 'next') day = offsetDay(ahead || 7);
+      else if (which === 'last') day = offsetDay(ahead - 7);
+      else day = offsetDay(ahead);
+      return ' ';
+    });
+  }
+
+  if (day && Number.isNaN(day.getTime())) day = null;
+
+  return {
+    day: day ? { from: day, to: new Date(day.getTime() + DAY_MS) } : null,
+    rest
+  };
+};
+
+// Search terms left once filler words are dropped
+const termsOf = (text) => text
+  .split(/\s+/)
+  .map((word) => word.trim())
+  .filter((word) => word && !FILLER.includes(word.toLowerCase()));
+
+// 0-2: share of terms starting a word of the text, plus 1 for an exact match
+const nameScore = (text, terms) => {
+  if (!text || terms.length === 0) return 0;
+  const matched = terms.filter((term) => wordPrefix(term).test(text)).length / terms.length;
+  const exact = text.trim().toLowerCase() === terms.join(' ').toLowerCase() ? 1 : 0;
+  return matched + exact;
+};
+
+// Candidates from the text index (whole words, stemmed) and from word prefixes
+// (partial names); the best of text score and name score ranks each one
+const findRanked = async (Model, { fields, terms, limit, filter = {}, populate = [] }) => {
+  const withPopulate = (find) => populate.reduce((query, [path, select]) => query.populate(path, select), find);
+
+  const [byText, byPrefix] = await Promise.all([
+    withPopulate(Model.find({ ...filter, $text: { $search: terms.join(' ') } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)),
+    withPopulate(Model.find({
+      ...filter,
+      $or: fields.flatMap((field) => terms.map((term) => ({ [field]: wordPrefix(term) })))
+    }).limit(limit))
+  ]);
+
+  const ranked = new Map();
+  [...byText, ...byPrefix].forEach((doc) => {
+    const score = Math.max(
+      doc.get('score') || 0,
+      ...fields.map((field) => nameScore(doc.get(field), terms))
+    );
+    const id = doc._id.toString();
+    if (!ranked.has(id) || ranked.get(id).score < score) ranked.set(id, { doc, score });
+  });
+  return [...ranked.values()];
+};
+
+const round = (score) => Math.round(score * 1000) / 1000;
+
+const searchPlayers = async (terms, limit) => {
+  const matches = await findRanked(Player, {
+    fields: ['name'],
+    terms,
+    limit,
+    populate: [['team', 'name']]
+  });
+
+  return matches.map(({ doc, score }) => ({
+    type: 'player',
+    id: doc._id,
+    score: round(score),
+    title: doc.name,
+    subtitle: [`#${doc.jerseyNumber}`, doc.position, doc.team ? doc.team.name : 'Free agent'].join(' · '),
+    data: doc
+  }));
+};
+
+// Teams by name or home venue, and the teams of coaches matching the search
+const searchTeams = async (terms, limit) => {
+  const [teams, coaches] = await Promise.all([
+    findRanked(Team, {
+      fields: ['name', 'homeVenue'],
+      terms,
+      limit,
+      populate: [['coach', 'name']]
+    }),
+    findRanked(User, { fields: ['name'], terms, limit, filter: { role: 'coach' } })
+  ]);
+
+  const ranked = new Map(teams.map((match) => [match.doc._id.toString(), match]));
+  if (coaches.length > 0) {
+    const coachScores = new Map(coaches.map(({ doc, score }) => [doc._id.toString(), score]));
+    const coached = await Team.find({ coach: { $in: [...coachScores.keys()] } }).populate('coach', 'name');
+    coached.forEach((team) => {
+      const score = coachScores.get(team.coach._id.toString());
+      const id = team._id.toString();
+      if (!ranked.has(id) || ranked.get(id).score < score) ranked.set(id, { doc: team, score });
+    });
+  }
+
+  return [...ranked.values()].map(({ doc, score }) => ({
+    type: 'team',
+    id: doc._id,
+    score: round(score),
+    title: doc.name,
+    subtitle: [doc.homeVenue, doc.coach ? `Coach ${doc.coach.name}` : null].filter(Boolean).join(' · '),
+    data: doc
+  }));
+};
+
+// Games of matching teams or at matching venues, limited to the day if one was given
+const searchGames = async (terms, day, teams, limit) => {
+  const dateFilter = day ? { gameDate: { $gte: day.from, $lt: day.to } } : {};
+  const teamScores = new Map(teams.map(({ id, score }) => [id.toString(), score]));
+  const scored = new Map();
+  const populate = (find) => find.populate('homeTeam', 'name').populate('awayTeam', 'name');
+
+  if (terms.length === 0) {
+    // Just a day: every game on it
+    if (!day) return [];
+    const games = await populate(Game.find(dateFilter).sort({ gameDate: 1 }).limit(limit));
+    games.forEach((game) => scored.set(game._id.toString(), { doc: game, score: 1 }));
+  } else {
+    const teamIds = [...teamScores.keys()];
+    const [byTeam, byVenue] = await Promise.all([
+      teamIds.length > 0
+        ? populate(Game.find({
+          ...dateFilter,
+          $or: [{ homeTeam: { $in: teamIds } }, { awayTeam: { $in: teamIds } }]
+        }).sort({ gameDate: -1 }).limit(limit * 5))
+        : [],
+      findRanked(Game, { fields: ['venue'], terms, limit, filter: dateFilter })
+    ]);
+
+    // "Hawks Bulls" ranks the game between them above either team's other games
+    const teamScore = (team) => (team ? teamScores.get(team._id.toString()) || 0 : 0);
+    byTeam.forEach((game) => {
+      const score = teamScore(game.homeTeam) + teamScore(game.awayTeam);
+      scored.set(game._id.toString(), { doc: game, score });
+    });
+    await Game.populate(byVenue.map(({ doc }) => doc), [
+      { path: 'homeTeam', select: 'name' },
+      { path: 'awayTeam', select: 'name' }
+    ]);
+    byVenue.forEach(({ doc, score }) => {
+      const id = doc._id.toString();
+      scored.set(id, { doc, score: (scored.has(id) ? scored.get(id).score : 0) + score });
+    });
+  }
+
+  // Among equally good matches, games nearest to now come first
+  const now = Date.now();
+  return [...scored.values()]
+    .sort((a, b) => b.score - a.score
+      || Math.abs(a.doc.gameDate - now) - Math.abs(b.doc.gameDate - now))
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      type: 'game',
+      id: doc._id,
+      score: round(score),
+      title: `${doc.awayTeam ? doc.awayTeam.name : 'TBD'} @ ${doc.homeTeam ? doc.homeTeam.name : 'TBD'}`,
+      subtitle: [doc.gameDate.toISOString().slice(0, 10), doc.venue, doc.status].filter(Boolean).join(' · '),
+      data: doc
+    }));
+};
+
+/**
+ * Searches players, teams and games for free text, e.g. "jordan",
+ * "hawks game next tuesday" or "united center".
+ *
+ * Returns { terms, day, results } with results of the requested types
+ * ranked by score, best first.
+ */
+export const search = async (text, { types = SEARCH_TYPES, limit = 20, now = new Date() } = {}) => {
+  const { day, rest } = parseDay(text, now);
+  const terms = termsOf(rest);
+
+  const wantsTeams = types.includes('team') || types.includes('game');
+  const [players, teams] = await Promise.all([
+    types.includes('player') && terms.length > 0 ? searchPlayers(terms, limit) : [],
+    wantsTeams && terms.length > 0 ? searchTeams(terms, limit) : []
+  ]);
+  const games = types.includes('game') ? await searchGames(terms, day, teams, limit) : [];
+
+  const results = [
+    ...players,
+    ...(types.includes('team') ? teams : []),
+    ...games
+  ]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { terms, day, results };
+};
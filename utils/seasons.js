@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import Season from '../models/Season.js';
+
+// The season in play right now, if the league uses seasons
+export const getCurrentSeason = () => Season.findOne({ status: 'active' }).sort({ startDate: -1 });
+
+// Resolve a ?season= query value ('current' or an id) to a season.
+// Returns undefined when no filter was asked for and null when it matches nothing.
+export const resolveSeason = async (value) => {
+  if (!value) return undefined;
+  if (value === 'current') return getCurrentSeason();
+  if (!mongoose.Types.ObjectId.isValid(value)) return null;
+  return Season.findById(value);
+};
+
+/**
+ * Game filter for the ?season=, ?from= and ?to= parameters of stats
+ * endpoints. A to date without a time covers the whole of that day, like
+ * GET /api/games?date= does.
+ *
+ * Returns { filter, season }, or null when the season does not exist.
+ */
+export const statsFilter = async ({ season, from, to } = {}) => {
+  const seasonDoc = await resolveSeason(season);
+  if (seasonDoc === null) return null;
+
+  const filter = {};
+  if (seasonDoc) filter.season = seasonDoc._id;
+  if (from || to) {
+    filter.gameDate = {};
+    if (from) filter.gameDate.$gte = new Date(from);
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      const nextDay = new Date(to);
+      nextDay.setDate(nextDay.getDate() + 1);
+      filter.gameDate.$lt = nextDay;
+    } else if (to) {
+      filter.gameDate.$lte = new Date(to);
+    }
+  }
+
+  return { filter, season: seasonDoc };
+};
+
+// The season whose dates cover a game date, used when a game is created without one
+export const seasonForDate = (date) => Season.findOne({
+  startDate: { $lte: date },
+  endDate: { $gte: date },
+  status: { $ne: 'archived' }
+}).sort({ startDate: -1 });
+
+// Replace a team or player's stats with its line for the given season,
+// falling back to the empty line when it has none
+export const withSeasonStats = (doc, season, empty = {}) => {
+  const data = doc.toObject ? doc.toObject() : { ...doc };
+  const line = (data.seasonStats || []).find(
+    (entry) => entry.season && entry.season.toString() === season._id.toString()
+  );
+  const { season: _season, _id, ...stats } = line || {};
+  data.stats = line ? stats : empty;
+  data.season = season._id;
+  return data;
+};
+
+// Why a game between these teams cannot be put in the season, or null if it can
+export const seasonConflict = (season, homeTeam, awayTeam) => {
+  if (season.status === 'archived') return 'Cannot add games to an archived season';
+
+  const teams = season.teams.map((team) => team.toString());
+  if (teams.length > 0 && (!teams.includes(homeTeam.toString()) || !teams.includes(awayTeam.toString()))) {
+    return 'Both teams must be participating in the season';
+  }
+  return null;
+};
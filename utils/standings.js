@@ -0,0 +1,189 @@
+import Game from '../models/Game.js';
+import Team from '../models/Team.js';
+import { getCurrentSeason } from './seasons.js';
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Winner and loser of a completed game, or null for a tie
+const resultOf = (game) => {
+  if (game.homeScore === game.awayScore) return null;
+  const homeWon = game.homeScore > game.awayScore;
+  return {
+    winner: idOf(homeWon ? game.homeTeam : game.awayTeam),
+    loser: idOf(homeWon ? game.awayTeam : game.homeTeam)
+  };
+};
+
+const winPercentage = (wins, losses) => (wins + losses > 0 ? wins / (wins + losses) : 0);
+
+// Recount wins and losses for the given teams from their completed games,
+// per season and for the current season (or all games without seasons).
+// Counting from scratch keeps repeated calls for the same game idempotent.
+export const updateTeamRecords = async (...teamIds) => {
+  const ids = [...new Set(teamIds.filter(Boolean).map(idOf))];
+  if (ids.length === 0) return;
+
+  const current = await getCurrentSeason();
+
+  for (const id of ids) {
+    const team = await Team.findById(id);
+    if (!team) continue;
+
+    const games = await Game.find({
+      status: 'completed',
+      $or: [{ homeTeam: id }, { awayTeam: id }]
+    }).select('homeTeam awayTeam homeScore awayScore season');
+
+    const overall = { wins: 0, losses: 0 };
+    const bySeason = new Map();
+    games.forEach((game) => {
+      const result = resultOf(game);
+      if (!result) return;
+      const outcome = result.winner === id ? 'wins' : 'losses';
+
+      if (game.season) {
+        const key = game.season.toString();
+        if (!bySeason.has(key)) bySeason.set(key, { season: game.season, wins: 0, losses: 0 });
+        bySeason.get(key)[outcome] += 1;
+      }
+      overall[outcome] += 1;
+    });
+
+    const record = current
+      ? bySeason.get(current._id.toString()) || { wins: 0, losses: 0 }
+      : overall;
+
+    team.stats.wins = record.wins;
+    team.stats.losses = record.losses;
+    team.seasonStats = Array.from(bySeason.values());
+    await team.save();
+  }
+};
+
+const formatRecord = (record) => `${record.wins}-${record.losses}`;
+
+// Build the standings table for the given teams from their completed games
+export const computeStandings = (teams, games) => {
+  const rows = new Map();
+  teams.forEach((team) => {
+    rows.set(idOf(team), {
+      team: { _id: team._id, name: team.name },
+      wins: 0,
+      losses: 0,
+      home: { wins: 0, losses: 0 },
+      away: { wins: 0, losses: 0 },
+      pointsFor: 0,
+      pointsAgainst: 0,
+      results: []
+    });
+  });
+
+  // Head-to-head wins keyed by "winner:loser"
+  const headToHead = new Map();
+
+  [...games]
+    .sort((a, b) => new Date(a.gameDate) - new Date(b.gameDate))
+    .forEach((game) => {
+      const home = rows.get(idOf(game.homeTeam));
+      const away = rows.get(idOf(game.awayTeam));
+
+      if (home) {
+        home.pointsFor += game.homeScore;
+        home.pointsAgainst += game.awayScore;
+      }
+      if (away) {
+        away.pointsFor += game.awayScore;
+        away.pointsAgainst += game.homeScore;
+      }
+
+      const result = resultOf(game);
+      if (!result) return;
+
+      const key = `${result.winner}:${result.loser}`;
+      headToHead.set(key, (headToHead.get(key) || 0) + 1);
+
+      const homeWon = result.winner === idOf(game.homeTeam);
+      if (home) {
+        home[homeWon ? 'wins' : 'losses'] += 1;
+        home.home[homeWon ? 'wins' : 'losses'] += 1;
+        home.results.push(homeWon ? 'W' : 'L');
+      }
+      if (away) {
+        away[homeWon ? 'losses' : 'wins'] += 1;
+        away.away[homeWon ? 'losses' : 'wins'] += 1;
+        away.results.push(homeWon ? 'L' : 'W');
+      }
+    });
+
+  const table = Array.from(rows.values()).map((row) => {
+    const { results, ...rest } = row;
+    const last10 = results.slice(-10);
+    let streak = '-';
+    if (results.length > 0) {
+      const last = results[results.length - 1];
+      let length = 0;
+      for (let i = results.length - 1; i >= 0 && results[i] === last; i -= 1) length += 1;
+      streak = `${last}${length}`;
+    }
+
+    return {
+      ...rest,
+      winPercentage: winPercentage(row.wins, row.losses),
+      pointDifferential: row.pointsFor - row.pointsAgainst,
+      homeRecord: formatRecord(row.home),
+      awayRecord: formatRecord(row.away),
+      last10: formatRecord({
+        wins: last10.filter((r) => r === 'W').length,
+        losses: last10.filter((r) => r === 'L').length
+      }),
+      streak
+    };
+  });
+
+  // Win percentage in games between members of a tied group
+  const headToHeadPercentage = (row, group) => {
+    let wins = 0;
+    let losses = 0;
+    const id = idOf(row.team);
+    group.forEach((other) => {
+      const otherId = idOf(other.team);
+      if (otherId === id) return;
+      wins += headToHead.get(`${id}:${otherId}`) || 0;
+      losses += headToHead.get(`${otherId}:${id}`) || 0;
+    });
+    return winPercentage(wins, losses);
+  };
+
+  // Order by win percentage, then break ties by head-to-head, point differential and name
+  table.sort((a, b) => b.winPercentage - a.winPercentage);
+  const ordered = [];
+  for (let i = 0; i < table.length;) {
+    let j = i + 1;
+    while (j < table.length && table[j].winPercentage === table[i].winPercentage) j += 1;
+    const group = table.slice(i, j);
+    group.forEach((row) => {
+      row.headToHead = group.length > 1 ? headToHeadPercentage(row, group) : null;
+    });
+    group.sort((a, b) => (
+      (b.headToHead || 0) - (a.headToHead || 0) ||
+      b.pointDifferential - a.pointDifferential ||
+      a.team.name.localeCompare(b.team.name)
+    ));
+    ordered.push(...group);
+    i = j;
+  }
+
+  // A team level on percentage with the leader but with more games played
+  // would come out ahead of it, count it as level instead
+  const leader = ordered[0];
+  return ordered.map((row, index) => {
+    const { home, away, headToHead: _headToHead, ...rest } = row;
+    return {
+      rank: index + 1,
+      ...rest,
+      gamesBehind: leader
+        ? Math.max(0, ((leader.wins - row.wins) + (row.losses - leader.losses)) / 2)
+        : 0
+    };
+  });
+};
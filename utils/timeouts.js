@@ -0,0 +1,137 @@
+import Game from '../models/Game.js';
+import { stopClock } from './gameClock.js';
+
+// Raised for timeouts that cannot be called
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const SIDES = ['home', 'away'];
+
+const teamOf = (game, side) => idOf(side === 'home' ? game.homeTeam : game.awayTeam);
+
+const sideOf = (game, teamId) => (teamId ? SIDES.find((side) => teamOf(game, side) === idOf(teamId)) : undefined);
+
+/**
+ * The stretch of periods a period's timeouts are shared over and how many
+ * each team gets in it. Every overtime period is a stretch of its own.
+ */
+export const timeoutWindow = (game, period = game.quarter) => {
+  if (period > game.regulationPeriods) {
+    return { from: period, to: period, allowed: game.overtimeTimeouts };
+  }
+
+  const allowances = [...(game.timeoutAllowances || [])].sort((a, b) => a.fromPeriod - b.fromPeriod);
+  const index = allowances.findLastIndex((allowance) => allowance.fromPeriod <= period);
+  if (index === -1) {
+    return { from: 1, to: allowances.length > 0 ? allowances[0].fromPeriod - 1 : game.regulationPeriods, allowed: 0 };
+  }
+
+  const next = allowances[index + 1];
+  return {
+    from: allowances[index].fromPeriod,
+    to: next ? next.fromPeriod - 1 : game.regulationPeriods,
+    allowed: allowances[index].timeouts
+  };
+};
+
+// Timeouts a team has called and has left in the stretch of the current period
+const sideTimeouts = (game, side, window) => {
+  const team = teamOf(game, side);
+  const used = (game.timeouts || []).filter((timeout) => idOf(timeout.team) === team
+    && timeout.period >= window.from
+    && timeout.period <= window.to).length;
+
+  return {
+    team,
+    allowed: window.allowed,
+    used,
+    remaining: Math.max(0, window.allowed - used)
+  };
+};
+
+// What viewers are sent about timeouts whenever one is called or a period starts
+export const timeoutState = (game) => {
+  const window = timeoutWindow(game);
+  const last = (game.timeouts || []).at(-1);
+
+  return {
+    gameId: game._id.toString(),
+    period: game.quarter,
+    periods: { from: window.from, to: window.to },
+    home: sideTimeouts(game, 'home', window),
+    away: sideTimeouts(game, 'away', window),
+    lastTimeout: last ? last.toObject() : null
+  };
+};
+
+/**
+ * Calls a timeout for a team: the clock is stopped and the timeout counts
+ * against the team's allowance for the current stretch of periods.
+ *
+ * Returns { game, timeout }, or null if the game does not exist.
+ */
+export const callTimeout = async (gameId, teamId, userId) => {
+  const game = await Game.findById(gameId);
+  if (!game) return null;
+
+  const side = sideOf(game, teamId);
+  if (!side) throw new TimeoutError('Team is not playing in this game');
+  if (game.status !== 'in_progress') {
+    throw new TimeoutError('Timeouts can only be called while the game is in progress');
+  }
+  if (sideTimeouts(game, side, timeoutWindow(game)).remaining <= 0) {
+    throw new TimeoutError('The team has no timeouts left');
+  }
+
+  const stopped = await stopClock(game._id);
+  const updated = await Game.findByIdAndUpdate(
+    game._id,
+    {
+      $push: {
+        timeouts: {
+          team: teamOf(game, side),
+          period: stopped.quarter,
+          secondsRemaining: stopped.clock.secondsRemaining,
+          calledBy: userId
+        }
+      },
+      $inc: { version: 1 }
+    },
+    { new: true, runValidators: true }
+  );
+
+  return { game: updated, timeout: updated.timeouts.at(-1) };
+};
+
+// Takes back a timeout recorded by mistake, giving it back to the team
+export const cancelTimeout = async (gameId, timeoutId) => {
+  const game = await Game.findById(gameId);
+  if (!game) return null;
+  if (!game.timeouts.id(timeoutId)) throw new TimeoutError('Timeout not found');
+
+  return Game.findByIdAndUpdate(
+    game._id,
+    { $pull: { timeouts: { _id: timeoutId } }, $inc: { version: 1 } },
+    { new: true }
+  );
+};
+
+// Sends the room the new game state and timeouts, and the timeout when one was called
+export const broadcastTimeout = async (io, game, timeout) => {
+  if (!io) return;
+  const room = game._id.toString();
+
+  await game.populate([
+    { path: 'homeTeam', select: 'name' },
+    { path: 'awayTeam', select: 'name' }
+  ]);
+  if (timeout) io.to(room).emit('timeoutCalled', { gameId: room, timeout });
+  io.to(room).emit('gameUpdated', game);
+  io.to(room).emit('timeoutState', timeoutState(game));
+};
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+const REFRESH_TOKEN_DAYS = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Raised when an access or refresh token cannot be used
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+// Short-lived JWT tied to the user's token version and the device session
+export const generateAccessToken = (user, session) => jwt.sign(
+  { id: user._id, ver: user.tokenVersion || 0, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+);
+
+// Refresh tokens are "<session id>.<random secret>"
+const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(40).toString('hex')}`;
+
+const issueTokens = async (user, session) => {
+  const refreshToken = newRefreshToken(session);
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(refreshToken);
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  return {
+    accessToken: generateAccessToken(user, session),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+// Start a session for a user logging in on a device
+export const createSession = async (user, userAgent) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000),
+    userAgent
+  });
+  const tokens = await issueTokens(user, session);
+  return { session, ...tokens };
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Presenting an already rotated token revokes the session, since it means
+// the token was copied.
+export const rotateSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken).split('.');
+  const session = await Session.findById(sessionId).catch(() => null);
+  if (!session || !session.isActive()) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const hash = hashToken(refreshToken);
+  if (hash !== session.tokenHash) {
+    if (hash === session.previousTokenHash) {
+      session.revokedAt = Date.now();
+      await session.save();
+    }
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) throw new TokenError('Invalid refresh token');
+
+  const tokens = await issueTokens(user, session);
+  return { user, session, ...tokens };
+};
+
+export const revokeSession = async (sessionId) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: Date.now() });
+};
+
+// Log a user out everywhere: end every session and invalidate every access token
+export const revokeAllSessions = async (userId) => {
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: Date.now() });
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+};
+
+// Check an access token and return its user, session id and expiry.
+// Tokens from revoked sessions or older token versions are rejected.
+export const verifyAccessToken = async (token, select) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new TokenError('Not authorized to access this route');
+  }
+
+  const query = User.findById(decoded.id);
+  const user = await (select ? query.select(`${select} tokenVersion`) : query);
+  if (!user) throw new TokenError('No user found with this token');
+
+  if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+    throw new TokenError('Token has been revoked');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw new TokenError('Token has been revoked');
+  }
+
+  return { user, sessionId: session._id.toString(), expiresAt: decoded.exp * 1000 };
+};
+
+// Disconnect live sockets opened with a revoked session or user's tokens
+export const disconnectSockets = (io, { sessionId, userId }) => {
+  if (!io) return;
+  if (sessionId) io.in(`session:${sessionId}`).disconnectSockets(true);
+  if (userId) io.in(`user:${userId}`).disconnectSockets(true);
+};